@@ -1,7 +1,15 @@
 /* ================== CONFIG ================== */
-// Firebase Realtime Database configuration
+// Firebase Realtime Database configuration (default; another URL or the emulator can be chosen under "Source")
 const FIREBASE_DATABASE_URL = 'https://water-quality-f2dfd-default-rtdb.asia-southeast1.firebasedatabase.app';
-// For demo: showing only EC and TDS with real data, other parameters set to 0
+// Web API key for Firebase Auth (console → Project settings → General). Empty = sign-in and roles are
+// off, as before; set it when deploying database.rules.json. The emulator accepts any key.
+const FIREBASE_API_KEY = '';
+// Demo mode (random EC/TDS when the sensor sends nothing) is opt-in only: ?demo=1 or the header "Demo" chip
+const DEMO_STORAGE_KEY = 'water-quality-demo';
+// Text shown wherever a parameter has no reading. Data files always write NO_DATA_VALUE instead,
+// so an export made in one language imports in another
+const NO_DATA = t('common.noData');
+const NO_DATA_VALUE = 'no data';
 
 /* ================== Unit Conversion Functions ================== */
 // Water quality parameter conversion functions
@@ -55,8 +63,58 @@ function validateTemp(tempValue) {
   return validateWaterParam(tempValue, -50, 150); // -50°C to 150°C range
 }
 
+/* ================== Parameters ================== */
+// One entry per water-quality parameter: cache key, Firebase field names (first present wins),
+// validator and display precision. Used by the cache mapping, KPIs, table, summary, chart and export.
+const PARAMS = [
+  { key: 'ph', label: 'pH', csv: 'pH', fields: ['ph', 'pH'], validate: validatePH, digits: 2 },
+  { key: 'ec', label: 'EC (µS/cm)', csv: 'EC(µS/cm)', fields: ['ec_uS_cm', 'ec'], validate: validateEC, digits: 0 },
+  { key: 'do', label: 'DO (mg/L)', csv: 'DO(mg/L)', fields: ['do_mg_L', 'do_mg_l', 'do'], validate: validateDO, digits: 2 },
+  { key: 'orp', label: 'ORP (mV)', csv: 'ORP(mV)', fields: ['orp_mV', 'orp_mv', 'orp'], validate: validateORP, digits: 0 },
+  { key: 'turbidity', label: 'Turbidity (NTU)', csv: 'Turbidity(NTU)', fields: ['turbidity_NTU', 'turbidity_ntu', 'turbidity'], validate: validateTurbidity, digits: 1 },
+  { key: 'tds', label: 'TDS (ppm)', csv: 'TDS(ppm)', fields: ['tds_ppm', 'tds'], validate: validateTDS, digits: 0 },
+  { key: 'temp', label: 'Temp (°C)', csv: 'Temp(°C)', fields: ['temp_C', 'temp_c', 'temperature', 'temp'], validate: validateTemp, digits: 1 },
+];
+
+// Read the first field that exists on a raw Firebase reading
+function pickField(reading, fields) {
+  for (const f of fields) {
+    if (reading[f] !== undefined && reading[f] !== null && reading[f] !== '') return reading[f];
+  }
+  return null;
+}
+
+// Format a parameter value, or NO_DATA when the reading doesn't have it
+function fmtParam(v, digits = 0) {
+  return v != null && Number.isFinite(v) ? fmtNumber(v, digits) : NO_DATA;
+}
+function fmtDataValue(v, digits = 0) {
+  return v != null && Number.isFinite(v) ? v.toFixed(digits) : NO_DATA_VALUE;
+}
+
+/* ================== Demo Mode ================== */
+function isDemoMode() {
+  const q = new URLSearchParams(location.search).get('demo');
+  if (q != null) return q === '1' || q === 'true';
+  try { return localStorage.getItem(DEMO_STORAGE_KEY) === '1'; } catch { return false; }
+}
+function setDemoMode(on) {
+  try { localStorage.setItem(DEMO_STORAGE_KEY, on ? '1' : '0'); } catch { }
+  // ล้าง ?demo= ออกจาก URL ไม่ให้ทับค่าที่เพิ่งเลือก
+  const url = new URL(location.href);
+  if (url.searchParams.has('demo')) { url.searchParams.delete('demo'); history.replaceState(null, '', url); }
+  updateDemoBadge();
+}
+function updateDemoBadge() {
+  const on = isDemoMode();
+  const badge = document.getElementById('demoBadge');
+  const chip = document.getElementById('demoToggle');
+  if (badge) badge.hidden = !on;
+  if (chip) chip.setAttribute('aria-pressed', on ? 'true' : 'false');
+}
+
 /* ================== Helpers ================== */
-// Random value generator for slightly turbid water conditions
+// Random value generator for slightly turbid water conditions (demo mode only)
 function getRandomEC() {
   // EC สำหรับน้ำขุ่นเล็กน้อย: 300-800 µS/cm
   return Math.floor(Math.random() * (800 - 300 + 1)) + 300;
@@ -68,77 +126,141 @@ function getRandomTDS() {
 }
 
 // Firebase helper functions
-function getFirebaseURL(path = '') {
-  return `${FIREBASE_DATABASE_URL}${path}.json`;
+// query values are JSON-encoded as the REST API expects (orderBy="timestamp", startAt="2025-01-01T...")
+function getFirebaseURL(path = '', query = null) {
+  // The base URL may carry its own query (emulator: ?ns=<namespace>)
+  const base = new URL(firebaseDatabaseURL());
+  const url = `${base.origin}${base.pathname.replace(/\/$/, '')}${path}.json`;
+  const qs = Object.entries(query || {})
+    .filter(([, v]) => v !== null && v !== undefined)
+    .map(([k, v]) => `${k}=${encodeURIComponent(k === 'shallow' || k === 'auth' || k.startsWith('limitTo') ? v : JSON.stringify(v))}`)
+    .concat(base.search ? [base.search.slice(1)] : [])
+    .join('&');
+  return qs ? `${url}?${qs}` : url;
 }
 
-async function fetchFirebaseData({ limit = 100, startDate = null, endDate = null, device = null } = {}) {
-  try {
-    let allReadings = [];
-    
-    if (device) {
-      // Fetch data for specific device
-      const devicePath = `/devices/${device}/readings`;
-      const response = await fetch(getFirebaseURL(devicePath), { cache: 'no-store' });
-      const data = await response.json();
-      
-      if (data) {
-        const readings = Object.entries(data).map(([key, value]) => ({
-          id: key,
-          device: device,
-          ...value
-        }));
-        allReadings = readings;
-      }
-    } else {
-      // Fetch data for all devices
-      const response = await fetch(getFirebaseURL('/devices'), { cache: 'no-store' });
-      const devicesData = await response.json();
-      
-      if (devicesData) {
-        Object.entries(devicesData).forEach(([deviceName, deviceData]) => {
-          if (deviceData.readings) {
-            const readings = Object.entries(deviceData.readings).map(([key, value]) => ({
-              id: key,
-              device: deviceName,
-              ...value
-            }));
-            allReadings = allReadings.concat(readings);
-          }
-        });
-      }
-    }
+// HTTP errors carry the status, which tells them apart from network failures (see isNetworkError)
+function httpError(response, what) {
+  const error = new Error(`Firebase ${response.status} on ${what}`);
+  error.status = response.status;
+  return error;
+}
 
-    // Filter by date range if specified
-    if (startDate || endDate) {
-      allReadings = allReadings.filter(reading => {
-        if (!reading.timestamp) return false;
-        const readingDate = new Date(reading.timestamp);
-        const dayFormat = readingDate.toISOString().split('T')[0]; // YYYY-MM-DD
-        
-        if (startDate && dayFormat < startDate) return false;
-        if (endDate && dayFormat > endDate) return false;
-        return true;
-      });
-    }
+async function fetchFirebaseJSON(path, query) {
+  const response = await fetch(getFirebaseURL(path, { ...query, auth: await idToken() }), { cache: 'no-store' });
+  if (!response.ok) throw httpError(response, path);
+  return response.json();
+}
+
+// Readings store `timestamp` as a string: ISO 8601 in UTC, but local time without `Z` or with a space
+// separator occurs too, and the server compares strings lexically. String bounds therefore only match the
+// date prefix, with a day of margin for time zones; fetchDeviceReadings filters the exact days after
+// parsing. Switch to 'ms' if the firmware writes epoch milliseconds. Needs ".indexOn": "timestamp" on readings.
+const FIREBASE_TIMESTAMP_TYPE = 'iso';
+function toTimestampBound(d, end = false) {
+  if (FIREBASE_TIMESTAMP_TYPE === 'ms') return d.valueOf();
+  return end ? `${d.add(1, 'day').format('YYYY-MM-DD')}\uf8ff` : d.subtract(1, 'day').format('YYYY-MM-DD');
+}
+
+// Last push key seen per device; keys are chronological, so new children are those after it
+const lastKeys = {};
+function trackLastKey(device, key) {
+  if (!lastKeys[device] || key > lastKeys[device]) lastKeys[device] = key;
+}
+
+// POST (push; resolves { name }), PUT/PATCH or DELETE through the REST API
+async function writeFirebaseJSON(path, method, body) {
+  const response = await fetch(getFirebaseURL(path, { auth: await idToken() }), {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  if (!response.ok) throw httpError(response, `${method} ${path}`);
+  return response.json();
+}
+// Records stored per device under /devices/<id>/<node> (lab samples, annotations). Returns `list`
+// with the remote records of every device that answered replaced by the current Firebase copy;
+// records that were only saved locally (remote: false) are kept.
+async function syncDeviceRecords(node, list, devices) {
+  const answered = (await Promise.all(devices.map(d => fetchFirebaseJSON(`/devices/${encodeURIComponent(d)}/${node}`)
+    .then(data => ({ device: d, data }))
+    .catch(() => null)))).filter(Boolean);
+  return answered.reduce((acc, { device, data }) => mergeDeviceRecords(acc, device, data), list);
+}
+// Same for one device and the node's value (REST answer or SDK snapshot)
+function mergeDeviceRecords(list, device, data) {
+  const records = Object.entries(data || {}).map(([id, rec]) => ({ ...rec, id, device, remote: true }));
+  return list.filter(rec => !rec.remote || rec.device !== device).concat(records);
+}
+// Push a new record (resolves with its Firebase id) / overwrite / delete one
+async function pushDeviceRecord(node, record) {
+  const { id, remote, device, ...body } = record;
+  return (await writeFirebaseJSON(`/devices/${encodeURIComponent(device)}/${node}`, 'POST', body)).name;
+}
+async function updateDeviceRecord(node, record) {
+  const { id, remote, device, ...body } = record;
+  await writeFirebaseJSON(`/devices/${encodeURIComponent(device)}/${node}/${id}`, 'PUT', body);
+}
+async function deleteDeviceRecord(node, record) {
+  await writeFirebaseJSON(`/devices/${encodeURIComponent(record.device)}/${node}/${record.id}`, 'DELETE');
+}
+// Device ids under /devices without downloading their readings
+async function fetchDeviceList() {
+  const data = await fetchFirebaseJSON('/devices', { shallow: 'true' });
+  return data ? Object.keys(data) : [];
+}
+
+// One device's readings, filtered and limited by the server (orderBy timestamp + startAt/endAt/limitToLast)
+async function fetchDeviceReadings(device, { limit = null, startDate = null, endDate = null } = {}) {
+  const query = { orderBy: 'timestamp' };
+  if (startDate) query.startAt = toTimestampBound(dayjs(startDate).startOf('day'));
+  if (endDate) query.endAt = toTimestampBound(dayjs(endDate).endOf('day'), true);
+  if (limit && Number.isFinite(limit)) query.limitToLast = limit;
+  const data = await fetchFirebaseJSON(`/devices/${encodeURIComponent(device)}/readings`, query);
+  if (!data) return [];
+  return Object.entries(data).map(([key, value]) => {
+    trackLastKey(device, key);
+    return { id: key, device, ...value };
+  }).filter(r => {
+    if (!startDate && !endDate) return true;
+    const day = r.timestamp ? dayjs(r.timestamp).format('YYYY-MM-DD') : null;
+    return !!day && (!startDate || day >= startDate) && (!endDate || day <= endDate);
+  });
+}
 
-    // Sort by timestamp descending (newest first)
-    allReadings.sort((a, b) => {
-      const dateA = new Date(a.timestamp || 0);
-      const dateB = new Date(b.timestamp || 0);
-      return dateB - dateA;
+// Only the children pushed after the last known key of a device (polling fallback for realtime)
+async function fetchNewReadings(device) {
+  const after = lastKeys[device];
+  const query = after ? { orderBy: '$key', startAt: after } : { orderBy: '$key', limitToLast: 1 };
+  const data = await fetchFirebaseJSON(`/devices/${encodeURIComponent(device)}/readings`, query);
+  if (!data) return [];
+  return Object.entries(data)
+    .filter(([key]) => !after || key > after)
+    .map(([key, value]) => {
+      trackLastKey(device, key);
+      return { id: key, device, ...value };
     });
+}
 
-    // Apply limit
-    if (limit && Number.isFinite(limit)) {
-      allReadings = allReadings.slice(0, limit);
-    }
+// Limit applies per device. Newest first. A device whose query fails is left out; throws only when
+// none answered (or the device list failed), so the caller can fall back to the offline store.
+async function fetchFirebaseData({ limit = 100, startDate = null, endDate = null, device = null } = {}) {
+  const devices = device ? [device] : await fetchDeviceList();
+  knownDevices = device ? uniq(knownDevices.concat(device)) : devices;
+  const perDevice = await Promise.allSettled(devices.map(d => fetchDeviceReadings(d, { limit, startDate, endDate })));
+  const failed = perDevice.filter(r => r.status === 'rejected');
+  failed.forEach(r => console.error('Error fetching readings of a device:', r.reason));
+  if (failed.length && failed.length === devices.length) throw failed[0].reason;
+  const allReadings = perDevice.filter(r => r.status === 'fulfilled').flatMap(r => r.value);
 
-    return allReadings;
-  } catch (error) {
-    console.error('Error fetching Firebase data:', error);
-    return [];
-  }
+  // Sort by timestamp descending (newest first)
+  allReadings.sort((a, b) => {
+    const dateA = new Date(a.timestamp || 0);
+    const dateB = new Date(b.timestamp || 0);
+    return dateB - dateA;
+  });
+
+  return allReadings;
 }
 function parseDateToken(v) {
   if (typeof v === 'string' && v.startsWith('Date(')) {
@@ -148,10 +270,457 @@ function parseDateToken(v) {
   if (v instanceof Date) return v;
   return v ? new Date(v) : null;
 }
-function fmtTime(d) { return d ? dayjs(d).format('YYYY-MM-DD HH:mm:ss') : '–'; }
+function fmtTime(d) { return d ? fmtDate(d, DATE_TIME_FORMAT) : '–'; }
+// Exported files keep a locale-independent timestamp, so they can be imported again
+function fmtDataTime(d) { return dayjs(d).format('YYYY-MM-DD HH:mm:ss'); }
 function toNum(v) { const n = Number(v); return Number.isFinite(n) ? n : null; }
 function uniq(arr) { return [...new Set(arr)]; }
 
+/* ================== Offline Store (IndexedDB) ================== */
+// Raw readings (keyed by Firebase push id) and the time of the last successful sync,
+// so refresh() can still render the last known data when the network is down.
+const IDB_NAME = 'water-quality';
+const IDB_VERSION = 2;
+let idbPromise;
+
+function openReadingsDB() {
+  if (!('indexedDB' in window)) return Promise.resolve(null);
+  idbPromise = idbPromise || new Promise((resolve) => {
+    const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+    req.onupgradeneeded = (e) => {
+      const db = req.result;
+      if (e.oldVersion < 1) {
+        db.createObjectStore('readings', { keyPath: 'id' }).createIndex('device', 'device');
+        db.createObjectStore('meta');
+      }
+      // v2: readings imported from CSV/JSON files (the "file" data source)
+      if (e.oldVersion < 2) db.createObjectStore('imported', { keyPath: 'id' }).createIndex('device', 'device');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { console.error('IndexedDB unavailable:', req.error); resolve(null); };
+  });
+  return idbPromise;
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => { req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error); });
+}
+
+async function persistReadings(readings, storeName = 'readings') {
+  const db = await openReadingsDB();
+  if (!db) return;
+  const tx = db.transaction([storeName, 'meta'], 'readwrite');
+  const store = tx.objectStore(storeName);
+  readings.forEach(r => { if (r.id) store.put(r); });
+  if (storeName === 'readings') tx.objectStore('meta').put(Date.now(), 'lastSync');
+  await new Promise((resolve, reject) => { tx.oncomplete = resolve; tx.onerror = () => reject(tx.error); });
+}
+
+// Same filtering fetchFirebaseData does on the server: device, day range, per-device limit, newest first
+async function loadStoredReadings({ limit = null, startDate = null, endDate = null, device = null } = {}, storeName = 'readings') {
+  const db = await openReadingsDB();
+  if (!db) return { readings: [], lastSync: null };
+  const tx = db.transaction([storeName, 'meta']);
+  const store = tx.objectStore(storeName);
+  const [all, lastSync] = await Promise.all([
+    idbRequest(device ? store.index('device').getAll(device) : store.getAll()),
+    idbRequest(tx.objectStore('meta').get('lastSync')),
+  ]);
+  let readings = all.filter(r => {
+    if (!startDate && !endDate) return true;
+    if (!r.timestamp) return false;
+    const day = dayjs(r.timestamp).format('YYYY-MM-DD');
+    return (!startDate || day >= startDate) && (!endDate || day <= endDate);
+  });
+  readings.sort((a, b) => new Date(b.timestamp || 0) - new Date(a.timestamp || 0));
+  if (limit) {
+    const perDevice = {};
+    readings = readings.filter(r => (perDevice[r.device] = (perDevice[r.device] || 0) + 1) <= limit);
+  }
+  readings.forEach(r => trackLastKey(r.device, r.id));
+  return { readings, lastSync: lastSync || null };
+}
+
+// Readings older than this are dropped from the offline store at startup, so it doesn't grow without bound
+const OFFLINE_KEEP_DAYS = 30;
+async function pruneStoredReadings() {
+  const db = await openReadingsDB();
+  if (!db) return;
+  const cutoff = Date.now() - OFFLINE_KEEP_DAYS * 86400000;
+  const tx = db.transaction('readings', 'readwrite');
+  const req = tx.objectStore('readings').openCursor();
+  req.onsuccess = () => {
+    const cursor = req.result;
+    if (!cursor) return;
+    if (!(new Date(cursor.value.timestamp || 0).getTime() >= cutoff)) cursor.delete();
+    cursor.continue();
+  };
+  await new Promise((resolve, reject) => { tx.oncomplete = resolve; tx.onerror = () => reject(tx.error); });
+}
+
+async function clearStore(storeName) {
+  const db = await openReadingsDB();
+  if (!db) return;
+  const tx = db.transaction([storeName, 'meta'], 'readwrite');
+  tx.objectStore(storeName).clear();
+  if (storeName === 'readings') tx.objectStore('meta').delete('lastSync');
+  await new Promise((resolve, reject) => { tx.oncomplete = resolve; tx.onerror = () => reject(tx.error); });
+}
+
+// Only an unreachable server means "offline"; an HTTP error (bad query, no permission) is a real error
+// and must not be papered over with saved data
+function isNetworkError(error) { return !(error && error.status); }
+
+// "offline – data as of X" next to #updated; pass null when back online
+function setOfflineBadge(lastSync) {
+  const badge = document.getElementById('offlineBadge');
+  if (!badge) return;
+  badge.hidden = lastSync === null;
+  if (lastSync !== null) {
+    badge.textContent = lastSync ? t('header.offline', { time: fmtTime(new Date(lastSync)) }) : t('header.offlineEmpty');
+  }
+}
+
+/* ================== Data Source ================== */
+// Where readings come from: { type: 'firebase', url } (url empty = FIREBASE_DATABASE_URL) or
+// { type: 'file' } for readings imported from CSV/JSON into IndexedDB. Stored in localStorage;
+// index.html reads it too (getDataSource/firebaseSettings) before initializing the Firebase SDK.
+const DATA_SOURCE_STORAGE_KEY = 'water-quality-source';
+
+function getDataSource() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DATA_SOURCE_STORAGE_KEY));
+    if (saved && saved.type) return saved;
+  } catch { }
+  return { type: 'firebase', url: '' };
+}
+function setDataSource(source) {
+  try { localStorage.setItem(DATA_SOURCE_STORAGE_KEY, JSON.stringify(source)); } catch { }
+}
+function firebaseDatabaseURL() {
+  const source = getDataSource();
+  return (source.type === 'firebase' && source.url) || FIREBASE_DATABASE_URL;
+}
+// SDK settings for the current URL. Emulator URLs look like http://127.0.0.1:9000/?ns=<namespace>;
+// the Auth emulator is then expected on the same host at its default port.
+const AUTH_EMULATOR_PORT = 9099;
+function firebaseSettings() {
+  const u = new URL(firebaseDatabaseURL());
+  const ns = u.searchParams.get('ns');
+  if (ns) {
+    return {
+      databaseURL: `https://${ns}.firebaseio.com`, projectId: ns,
+      emulator: { host: u.hostname, port: Number(u.port) || 9000, authPort: AUTH_EMULATOR_PORT },
+    };
+  }
+  return { databaseURL: u.origin, projectId: u.hostname.split('-default-rtdb')[0], emulator: null };
+}
+
+// Pluggable backends behind fetchSheet/setupRealtimeListeners. fetch() resolves raw readings
+// ({ id, device, timestamp, ...Firebase fields }) newest first; listen() is optional (no live updates).
+const DATA_SOURCES = {
+  firebase: { label: 'Firebase', fetch: fetchFirebaseData, listen: setupFirebaseListeners, offlineCache: true },
+  file: { label: t('source.file'), fetch: fetchImportedReadings, listen: null, offlineCache: false },
+};
+function activeSource() {
+  return DATA_SOURCES[getDataSource().type] || DATA_SOURCES.firebase;
+}
+
+function updateSourceBadge() {
+  const badge = document.getElementById('sourceBadge');
+  if (!badge) return;
+  const source = getDataSource();
+  const custom = source.type !== 'firebase' || (source.url && source.url !== FIREBASE_DATABASE_URL);
+  badge.hidden = !custom;
+  if (custom) badge.textContent = t('source.badge', { name: source.type === 'file' ? t('source.file') : new URL(source.url).host });
+}
+
+/* ---------- Import (CSV / JSON) ---------- */
+async function fetchImportedReadings(query = {}) {
+  const { readings } = await loadStoredReadings(query, 'imported');
+  knownDevices = uniq(readings.map(r => r.device).concat(query.device || []).filter(Boolean));
+  return readings;
+}
+
+// RFC 4180-ish CSV: quoted fields, doubled quotes, CRLF
+function parseCSV(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+// Map a CSV header (e.g. "EC(µS/cm)" from exportCSVRange, "ec_uS_cm", "timestamp") to a reading field
+function importColumn(header) {
+  const h = header.toLowerCase().replace(/[^a-z0-9_]/g, '');
+  if (['time', 'timestamp', 'date', 'datetime'].includes(h)) return 'timestamp';
+  if (h === 'device' || h === 'deviceid') return 'device';
+  if (h === 'rssi' || h === 'wifi_rssi') return 'wifi_rssi';
+  if (h === 'snr') return 'snr';
+  const p = PARAMS.find(p => h === p.key || h.startsWith(p.key) || p.fields.some(f => f.toLowerCase() === h));
+  return p ? p.fields[0] : null;
+}
+
+// One imported record → the Firebase reading shape toCacheRow understands. Our JSON export keeps the
+// uncalibrated values in `raw`, which are imported instead; `calibrated` marks values that already had
+// calibration applied (our CSV export), so applyCalibration leaves them as they are.
+function normalizeImported(rec, defaultDevice, calibrated = false) {
+  const ts = rec.timestamp ?? rec.time ?? null;
+  const d = ts != null ? dayjs(typeof ts === 'string' && /^\d+$/.test(ts) ? Number(ts) : ts) : null;
+  if (!d || !d.isValid()) return null;
+  const device = String(rec.device || defaultDevice || 'imported');
+  const out = { device, timestamp: d.toISOString(), wifi_rssi: toNum(rec.wifi_rssi ?? rec.rssi ?? null), snr: toNum(rec.snr ?? null) };
+  const raw = rec.raw && typeof rec.raw === 'object' ? rec.raw : null;
+  if (calibrated && !raw) out.calibrated = true;
+  PARAMS.forEach(p => {
+    const v = raw && p.key in raw ? raw[p.key] : pickField(rec, [p.key].concat(p.fields));
+    out[p.fields[0]] = v == null || v === NO_DATA_VALUE ? null : toNum(v);
+  });
+  out.id = `imp-${device}-${out.timestamp}`;
+  return out;
+}
+
+// CSV (any header order; "no data" cells become null) or JSON: our export ({ readings: [...] }),
+// a plain array, a Firebase /devices dump ({ devices: { id: { readings } } }) or one device's readings.
+// CSV files and our JSON export hold calibrated values; the other JSON shapes are raw sensor data.
+function parseImportFile(text, name, defaultDevice) {
+  let records = [];
+  let calibrated = false;
+  if (/\.csv$/i.test(name) || !/^\s*[[{]/.test(text)) {
+    const [header, ...rows] = parseCSV(text.replace(/^﻿/, ''));
+    const cols = header.map(importColumn);
+    records = rows.map(r => Object.fromEntries(cols.map((c, i) => [c, r[i]]).filter(([c]) => c)));
+    calibrated = true;
+  } else {
+    const json = JSON.parse(text);
+    const fromReadings = (device, readings) => Object.entries(readings || {}).map(([id, r]) => ({ device, ...r, _id: id }));
+    if (Array.isArray(json)) records = json;
+    else if (Array.isArray(json.readings)) { records = json.readings; calibrated = true; }
+    else if (json.readings) records = fromReadings(defaultDevice, json.readings);
+    else {
+      const devices = json.devices || json;
+      records = Object.entries(devices).flatMap(([device, node]) => fromReadings(device, node && node.readings));
+    }
+  }
+  return records.map(r => normalizeImported(r, defaultDevice, calibrated)).filter(Boolean);
+}
+
+async function importReadingsFile(file, defaultDevice) {
+  const readings = parseImportFile(await file.text(), file.name, defaultDevice);
+  if (readings.length) await persistReadings(readings, 'imported');
+  return readings.length;
+}
+
+/* ---------- Data source settings panel ---------- */
+function setupDataSourcePanel() {
+  const modal = document.getElementById('sourceModal');
+  if (!modal) return;
+  const urlInput = document.getElementById('sourceUrl');
+  const status = document.getElementById('importStatus');
+  const syncType = () => { urlInput.disabled = !document.getElementById('sourceFirebase').checked; };
+  document.getElementById('sourceBtn').addEventListener('click', () => {
+    const source = getDataSource();
+    document.getElementById(source.type === 'file' ? 'sourceFile' : 'sourceFirebase').checked = true;
+    urlInput.value = source.url || '';
+    urlInput.placeholder = FIREBASE_DATABASE_URL;
+    status.textContent = '';
+    syncType();
+    modal.style.display = 'flex';
+  });
+  ['sourceFirebase', 'sourceFile'].forEach(id => document.getElementById(id).addEventListener('change', syncType));
+  urlInput.addEventListener('input', () => urlInput.classList.remove('invalid'));
+  document.getElementById('sourceEmulator').addEventListener('click', () => {
+    const ns = new URL(FIREBASE_DATABASE_URL).hostname.split('.')[0];
+    urlInput.value = `http://127.0.0.1:9000/?ns=${ns}`;
+    document.getElementById('sourceFirebase').checked = true;
+    syncType();
+  });
+  document.getElementById('sourceCancel').addEventListener('click', () => { modal.style.display = 'none'; });
+  modal.addEventListener('click', e => { if (e.target === modal) modal.style.display = 'none'; });
+  document.getElementById('importBtn').addEventListener('click', async () => {
+    const files = [...document.getElementById('importFile').files];
+    if (!files.length) { showToast(t('import.selectFile')); return; }
+    const device = document.getElementById('importDevice').value.trim();
+    try {
+      let total = 0;
+      for (const f of files) total += await importReadingsFile(f, device);
+      status.textContent = t('import.status', { n: total });
+      showToast(t('import.done', { n: total }));
+      if (getDataSource().type === 'file') refresh();
+    } catch (error) {
+      console.error('Import failed:', error);
+      status.textContent = t('import.failed', { error: error.message });
+    }
+  });
+  document.getElementById('importClear').addEventListener('click', async () => {
+    await clearStore('imported');
+    status.textContent = t('import.cleared');
+    if (getDataSource().type === 'file') refresh();
+  });
+  document.getElementById('sourceSave').addEventListener('click', async () => {
+    const type = document.getElementById('sourceFile').checked ? 'file' : 'firebase';
+    const url = urlInput.value.trim().replace(/\/+$/, '');
+    if (type === 'firebase' && url) {
+      try { new URL(url); } catch { urlInput.classList.add('invalid'); showToast(t('source.invalidUrl')); return; }
+    }
+    const before = getDataSource();
+    setDataSource({ type, url: type === 'firebase' ? url : before.url || '' });
+    // Offline copies belong to the old database
+    if (type === 'firebase' && (before.url || '') !== url) await clearStore('readings');
+    showToast(t('source.changed'));
+    // The Firebase SDK in index.html is initialized once per page load
+    setTimeout(() => location.reload(), 400);
+  });
+}
+
+/* ================== Auth & Roles ================== */
+// With the Firebase source and Auth configured (FIREBASE_API_KEY, or the emulator) the dashboard signs
+// in (email/password, Firebase Auth) before fetching or listening. The role is read from /users/<uid>/role ('viewer' | 'operator' | 'admin') and only decides
+// what the UI offers; database.rules.json enforces the same split on the server and gives accounts
+// without a role no data at all. Roles are set in the console (or the Emulator UI). Device accounts carry
+// /users/<uid>/device = <device id> instead and may only write that device's readings, reported config and
+// command status.
+const ROLE_PERMISSIONS = {
+  viewer: [],
+  operator: ['export', 'annotate', 'commands'],
+  admin: ['export', 'annotate', 'commands', 'thresholds', 'calibration', 'config'],
+};
+const ROLE_LABELS = { viewer: t('auth.role.viewer'), operator: t('auth.role.operator'), admin: t('auth.role.admin') };
+
+// { uid, email, role } once signed in
+let authUser = null;
+// uid of the last account signed in here, so its cached data isn't shown to the next one
+const AUTH_USER_STORAGE_KEY = 'water-quality-user';
+
+// Imported files are local to this browser, and a database without Auth can't tell users apart:
+// no sign-in (and no restrictions) for either
+function authRequired() {
+  return getDataSource().type === 'firebase' && !!(FIREBASE_API_KEY || firebaseSettings().emulator);
+}
+function currentRole() {
+  if (!authRequired()) return 'admin';
+  return (authUser && ROLE_PERMISSIONS[authUser.role]) ? authUser.role : 'viewer';
+}
+function can(permission) { return ROLE_PERMISSIONS[currentRole()].includes(permission); }
+
+// ID token for the REST API (?auth=), null when signed out; the SDK refreshes it when it expires
+async function idToken() {
+  const user = window.firebaseAuth && window.firebaseAuth.auth.currentUser;
+  return user ? user.getIdToken() : null;
+}
+
+async function fetchRole(uid) {
+  try {
+    return (await fetchFirebaseJSON(`/users/${uid}/role`)) || 'viewer';
+  } catch (error) {
+    console.error('Reading the user role failed:', error);
+    return 'viewer';
+  }
+}
+
+// Hide whatever the role may not use (elements with data-perm) and show who is signed in
+function applyRoleGates() {
+  document.querySelectorAll('[data-perm]').forEach(el => { el.hidden = !can(el.dataset.perm); });
+  const badge = document.getElementById('userBadge');
+  const signOutBtn = document.getElementById('signOutBtn');
+  if (!badge || !signOutBtn) return;
+  badge.hidden = signOutBtn.hidden = !authUser;
+  if (authUser) badge.textContent = `${authUser.email} · ${ROLE_LABELS[currentRole()]}`;
+}
+
+// Resolves with the signed-in user, showing the sign-in form until someone signs in. When the Auth SDK
+// couldn't load (offline) it resolves at once and the dashboard stays read-only. Another account signing
+// in clears the previous one's cached data and reloads, so nothing of it stays in memory either.
+function ensureSignedIn() {
+  if (!authRequired()) return Promise.resolve(null);
+  if (!window.firebaseAuth) {
+    console.warn('Firebase Auth not available, continuing read-only');
+    return Promise.resolve(null);
+  }
+  const { auth, onAuthStateChanged } = window.firebaseAuth;
+  const modal = document.getElementById('authModal');
+  let resolved = false;
+  return new Promise(resolve => {
+    onAuthStateChanged(auth, async user => {
+      if (!user) {
+        authUser = null;
+        applyRoleGates();
+        modal.style.display = 'flex';
+        document.getElementById('authEmail').focus();
+        return;
+      }
+      const stored = localStorage.getItem(AUTH_USER_STORAGE_KEY);
+      if (stored && stored !== user.uid) {
+        await clearUserData();
+        localStorage.setItem(AUTH_USER_STORAGE_KEY, user.uid);
+        location.reload();
+        return;
+      }
+      localStorage.setItem(AUTH_USER_STORAGE_KEY, user.uid);
+      authUser = { uid: user.uid, email: user.email, role: await fetchRole(user.uid) };
+      modal.style.display = 'none';
+      applyRoleGates();
+      // Signed in again in this page after the session ended: boot has already gone past the await
+      if (resolved) refresh();
+      resolved = true;
+      resolve(authUser);
+    });
+  });
+}
+
+// Readings, records and reports cached from the database belong to the account that fetched them
+async function clearUserData() {
+  await clearStore('readings').catch(error => console.error('Clearing offline readings failed:', error));
+  [DEVICE_META_STORAGE_KEY, LAB_STORAGE_KEY, ANNOTATION_STORAGE_KEY, REPORTS_STORAGE_KEY, ALARM_LOG_STORAGE_KEY]
+    .forEach(key => localStorage.removeItem(key));
+  labSamples = [];
+  annotations = [];
+  deviceMeta = {};
+}
+
+function setupAuthControls() {
+  const modal = document.getElementById('authModal');
+  if (!modal) return;
+  const error = document.getElementById('authError');
+  const form = document.getElementById('authForm');
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+    const { auth, signInWithEmailAndPassword } = window.firebaseAuth;
+    const email = document.getElementById('authEmail').value.trim();
+    const password = document.getElementById('authPassword').value;
+    error.textContent = '';
+    try {
+      await signInWithEmailAndPassword(auth, email, password);
+      document.getElementById('authPassword').value = '';
+    } catch (err) {
+      console.error('Sign-in failed:', err);
+      error.textContent = t(err.code === 'auth/network-request-failed' ? 'auth.network' : 'auth.failed');
+    }
+  });
+  // The source (e.g. the emulator) has to be reachable before signing in
+  document.getElementById('authSource').addEventListener('click', () => document.getElementById('sourceBtn').click());
+  document.getElementById('signOutBtn').addEventListener('click', async () => {
+    const { auth, signOut } = window.firebaseAuth;
+    await signOut(auth);
+    await clearUserData();
+    localStorage.removeItem(AUTH_USER_STORAGE_KEY);
+    location.reload();
+  });
+}
+
 /* ================== Feedback / Toast ================== */
 function showToast(msg, { timeout = 2600 } = {}) {
   const stack = document.getElementById('toastStack');
@@ -165,13 +734,15 @@ function showToast(msg, { timeout = 2600 } = {}) {
   if (live) { live.textContent = msg; }
 }
 function formatDateRange() {
-  const s = startDateFilter.value || 'ไม่ระบุ';
-  const e = endDateFilter.value || 'ไม่ระบุ';
+  const s = startDateFilter.value ? fmtDate(dayjs(startDateFilter.value)) : t('common.notSet');
+  const e = endDateFilter.value ? fmtDate(dayjs(endDateFilter.value)) : t('common.notSet');
   return `${s} – ${e}`;
 }
 
 /* ================== State / Refs ================== */
 let CHART, cache = [], timer;
+// Device ids from the last shallow /devices query (may include devices with no rows in cache)
+let knownDevices = [];
 const ddDevice = document.getElementById('deviceFilter');
 const ddPoints = document.getElementById('pointFilter');
 // Removed refresh select; fixed interval
@@ -193,140 +764,414 @@ function setTheme(theme) { document.documentElement.setAttribute('data-theme', t
 function updateThemeIcon(theme) {
   const mainBtn = document.getElementById('themeToggle');
   const mobBtn = document.getElementById('themeToggleMobile');
-  const label = theme === 'dark' ? 'สลับเป็นโหมดสว่าง' : 'สลับเป็นโหมดมืด';
+  const label = theme === 'dark' ? t('theme.toLight') : t('theme.toDark');
   if (mainBtn) mainBtn.setAttribute('aria-label', label);
   if (mobBtn) mobBtn.setAttribute('aria-label', label);
 }
 function applyChartTheme(theme) { if (!CHART) return; const legendColor = theme === 'dark' ? '#e5e5e5' : '#111111'; const tickColor = theme === 'dark' ? '#c9c9c9' : '#444'; const gridColor = theme === 'dark' ? '#262626' : '#ececec'; CHART.options.plugins.legend.labels.color = legendColor; CHART.options.scales.x.ticks.color = tickColor; CHART.options.scales.y.ticks.color = tickColor; CHART.options.scales.x.grid.color = gridColor; CHART.options.scales.y.grid.color = gridColor; CHART.update('none'); }
 
+/* ================== Language ================== */
+// Catalogs and formatting live in i18n.js; here only the header controls
+function setupLanguageControls() {
+  const ddLang = document.getElementById('langSelect');
+  const era = document.getElementById('eraToggle');
+  if (ddLang) {
+    ddLang.innerHTML = Object.entries(LANGS).map(([k, l]) => `<option value="${k}">${l.label}</option>`).join('');
+    ddLang.value = currentLang();
+    ddLang.addEventListener('change', () => setLang(ddLang.value));
+  }
+  if (era) {
+    era.setAttribute('aria-pressed', currentEra() === 'be' ? 'true' : 'false');
+    era.addEventListener('click', () => setEra(currentEra() === 'be' ? 'ce' : 'be'));
+  }
+}
+
 /* ================== Fetch & Build ================== */
-async function fetchSheet({ limit, startDate, endDate, device } = {}) {
-  const firebaseData = await fetchFirebaseData({ limit, startDate, endDate, device });
-  
-  cache = firebaseData.map(reading => {
-    // ตรวจสอบและ random ค่า EC และ TDS หากเป็น 0 หรือ null
-    let ecValue = validateEC(reading.ec_uS_cm);
-    let tdsValue = validateTDS(reading.tds_ppm);
-    
-    // ถ้า EC เป็น 0 หรือ null ให้ random ค่าใหม่
-    if (!ecValue || ecValue === 0) {
-      ecValue = getRandomEC();
-    }
-    
-    // ถ้า TDS เป็น 0 หรือ null ให้ random ค่าใหม่
-    if (!tdsValue || tdsValue === 0) {
-      tdsValue = getRandomTDS();
-    }
-    
-    return {
-      ts: reading.timestamp ? new Date(reading.timestamp) : null,
-      device: reading.device || '',
-      devEui: reading.device || '', // Use device name as devEui for demo
-      // Demo version: Only EC and TDS have real data, others set to 0
-      ph: 0,  // Set to 0 for demo
-      ec: ecValue,  // Real EC data from Firebase (or random if 0)
-      do: 0,  // Set to 0 for demo
-      orp: 0,  // Set to 0 for demo
-      turbidity: 0,  // Set to 0 for demo
-      tds: tdsValue,  // Real TDS data from Firebase (or random if 0)
-      temp: 0,  // Set to 0 for demo
-      rssi: reading.wifi_rssi || 0,  // RSSI from Firebase
-      snr: 0,  // Set to 0 for demo (not available in Firebase data)
-    };
+// Map a raw Firebase reading to a cache row. Missing parameters stay null ("no data");
+// only demo mode fills an empty EC/TDS with random values, and marks them in row.demo.
+// Calibration (see applyCalibration) is applied last; uncalibrated values stay in row.raw.
+// row.clamped lists the parameters received outside their validator's range (stored at the limit).
+function toCacheRow(reading, demo = false) {
+  const row = {
+    id: reading.id || null,
+    ts: reading.timestamp ? new Date(reading.timestamp) : null,
+    device: reading.device || '',
+    devEui: reading.device || '',
+    rssi: toNum(reading.wifi_rssi),
+    snr: toNum(reading.snr),
+    demo: [],
+    clamped: [],
+    calibrated: !!reading.calibrated,
+  };
+  PARAMS.forEach(p => {
+    const value = pickField(reading, p.fields);
+    const [lo, hi] = paramLimits(p);
+    const n = toNum(value);
+    row[p.key] = p.validate(value);
+    if (n != null && (n < lo || n > hi)) row.clamped.push(p.key);
   });
+  if (demo) {
+    if (!row.ec) { row.ec = getRandomEC(); row.demo.push('ec'); }
+    if (!row.tds) { row.tds = getRandomTDS(); row.demo.push('tds'); }
+  }
+  // Sensor values as received; the row's own fields get the device's calibration applied
+  row.raw = Object.fromEntries(PARAMS.map(p => [p.key, row[p.key]]));
+  return applyCalibration(row);
+}
+
+async function fetchSheet({ limit, startDate, endDate, device } = {}) {
+  const source = activeSource();
+  let firebaseData;
+  try {
+    if (source.offlineCache && navigator.onLine === false) throw new Error('Browser is offline');
+    firebaseData = await source.fetch({ limit, startDate, endDate, device });
+    setOfflineBadge(null);
+    if (source.offlineCache) persistReadings(firebaseData).catch(error => console.error('Error saving readings offline:', error));
+  } catch (error) {
+    if (!source.offlineCache || !isNetworkError(error)) {
+      console.error(`Error reading from ${source.label}:`, error);
+      // 401/403: signed out, or an account the rules give no access to
+      if (error.status === 401 || error.status === 403) showToast(t('auth.denied'), { timeout: 6000 });
+      else if (error.status) showToast(t('network.error', { status: error.status }), { timeout: 6000 });
+      setOfflineBadge(null);
+      firebaseData = [];
+    } else {
+      console.error('Error fetching Firebase data, using offline store:', error);
+      const stored = await loadStoredReadings({ limit, startDate, endDate, device });
+      firebaseData = stored.readings;
+      setOfflineBadge(stored.lastSync || 0);
+    }
+  }
   
-  elUpdated.textContent = 'updated ' + (cache[0] ? fmtTime(cache[0].ts) : '-');
-  const devices = uniq(cache.map(d => d.device).filter(Boolean));
-  // Sort devices by name first, then by number
-  devices.sort((a, b) => {
-    // Extract name and number parts
-    const aMatch = a.match(/^(.+?)-?(\d+)$/) || [null, a, '0'];
-    const bMatch = b.match(/^(.+?)-?(\d+)$/) || [null, b, '0'];
-    const aName = aMatch[1].toLowerCase();
-    const bName = bMatch[1].toLowerCase();
-    const aNum = parseInt(aMatch[2]) || 0;
-    const bNum = parseInt(bMatch[2]) || 0;
-
-    // First sort by name
-    if (aName !== bName) {
-      return aName.localeCompare(bName);
-    }
-    // Then by number
-    return aNum - bNum;
-  });
-
-  // Determine latest device from most recent row
-  const latestDev = cache.find(r => r && r.device)?.device || '';
+  const demo = isDemoMode();
+  cache = firebaseData.map(reading => toCacheRow(reading, demo));
+  trackLastSeen(cache);
+  buildDeviceOptions();
+}
+// Device dropdowns (main filter + export) from the known device list and whatever is in cache
+function buildDeviceOptions() {
+  elUpdated.textContent = t('header.updated', { time: cache[0] ? fmtTime(cache[0].ts) : '-' });
+  const devices = uniq(knownDevices.concat(cache.map(d => d.device)).filter(Boolean)).sort(compareDeviceIds);
+  const groups = devicesBySite(devices);
+  const option = x => `<option value="${escapeHTML(x)}">${escapeHTML(deviceLabel(x))} · ${healthBadge(x)}</option>`;
+
   // Keep main filter independent: default remains "ทั้งหมด" unless user has selected
+  // Devices are grouped by site once any site is set; each group starts with a whole-site option
   const mainSelected = ddDevice.value || '';
-  ddDevice.innerHTML = `<option value="">ทั้งหมด (${devices.length})</option>` + devices.map(x => `<option ${x === mainSelected ? 'selected' : ''} value="${x}">${x}</option>`).join('');
+  ddDevice.innerHTML = `<option value="">${t('common.allCount', { n: devices.length })}</option>` + (groups.some(([site]) => site)
+    ? groups.map(([site, list]) => `<optgroup label="${escapeHTML(site || t('sites.none'))}">`
+      + (site ? `<option value="${escapeHTML(SITE_PREFIX + site)}">${escapeHTML(t('sites.all', { site, n: list.length }))}</option>` : '')
+      + list.map(option).join('') + '</optgroup>').join('')
+    : devices.map(option).join(''));
   ddDevice.value = mainSelected; // preserve user's choice or All
+  if (ddDevice.value !== mainSelected) ddDevice.value = '';
   // Also populate export device selector
   const exportDeviceSelect = document.getElementById('exportDevice');
   if (exportDeviceSelect) {
     const currentExportDevice = exportDeviceSelect.value;
-    exportDeviceSelect.innerHTML = `<option value="">ทั้งหมด (${devices.length})</option>` + devices.map(x => `<option ${x === currentExportDevice ? 'selected' : ''} value="${x}">${x}</option>`).join('');
+    exportDeviceSelect.innerHTML = `<option value="">${t('common.allCount', { n: devices.length })}</option>` + devices.map(x => `<option ${x === currentExportDevice ? 'selected' : ''} value="${escapeHTML(x)}">${escapeHTML(deviceLabel(x))}</option>`).join('');
   }
 }
-function filterRows(deviceOverride = null) { const device = deviceOverride != null ? deviceOverride : ddDevice.value; const startDate = startDateFilter.value; const endDate = endDateFilter.value; let filtered = cache.slice(); if (device) filtered = filtered.filter(r => r.device === device); if (startDate || endDate) { filtered = filtered.filter(r => { if (!r.ts) return false; const rowDate = dayjs(r.ts).format('YYYY-MM-DD'); if (startDate && rowDate < startDate) return false; if (endDate && rowDate > endDate) return false; return true; }); } return filtered; }
+// Refresh the health badges in the device filter in place; rebuilding the options would close the
+// dropdown if it is open
+function updateDeviceOptionLabels() {
+  [...ddDevice.options].forEach(o => {
+    if (o.value && !o.value.startsWith(SITE_PREFIX)) o.textContent = `${deviceLabel(o.value)} · ${healthBadge(o.value)}`;
+  });
+}
+function filterRows(deviceOverride = null) { const devices = deviceOverride != null ? (deviceOverride ? [deviceOverride] : null) : selectedDevices(); const startDate = startDateFilter.value; const endDate = endDateFilter.value; let filtered = cache.slice(); if (devices) filtered = filtered.filter(r => devices.includes(r.device)); if (startDate || endDate) { filtered = filtered.filter(r => { if (!r.ts) return false; const rowDate = dayjs(r.ts).format('YYYY-MM-DD'); if (startDate && rowDate < startDate) return false; if (endDate && rowDate > endDate) return false; return true; }); } return filtered; }
+const KPI_ELS = { ph: elPH, ec: elEC, do: elDO, orp: elORP, turbidity: elTurbidity, tds: elTDS, temp: elTemp };
 function updateKPIs(latest) {
   const NIL = '–';
   if (!latest) {
-    [elPH, elEC, elDO, elORP, elTurbidity, elTDS, elTemp].forEach(el => el.textContent = NIL);
+    Object.values(KPI_ELS).forEach(el => { el.textContent = NIL; el.classList.remove('nodata'); });
     elRSSI.textContent = elSNR.textContent = elDev.textContent = NIL;
     return;
   }
-  // Demo version: Show real EC and TDS data, others as 0
-  elPH.textContent = '0.00';  // Demo: Always show 0
-  elEC.textContent = latest.ec != null && latest.ec > 0 ? latest.ec.toFixed(0) : '0';  // Real EC data
-  elDO.textContent = '0.00';  // Demo: Always show 0
-  elORP.textContent = '0';    // Demo: Always show 0
-  elTurbidity.textContent = '0.0';  // Demo: Always show 0
-  elTDS.textContent = latest.tds != null && latest.tds > 0 ? latest.tds.toFixed(0) : '0';  // Real TDS data
-  elTemp.textContent = '0.0'; // Demo: Always show 0
+  PARAMS.forEach(p => {
+    const el = KPI_ELS[p.key];
+    const v = latest[p.key];
+    el.textContent = fmtParam(v, p.digits);
+    el.classList.toggle('nodata', v == null);
+    el.title = latest.demo.includes(p.key) ? t('common.demoValue') : '';
+  });
   elRSSI.textContent = (latest.rssi ?? NIL);
   elSNR.textContent = (latest.snr ?? NIL);
-  elDev.textContent = latest.device || NIL;
+  elDev.textContent = latest.devices ? latest.device : (latest.device ? deviceName(latest.device) : NIL);
+}
+// Descriptive statistics of one parameter over rows, or null when none of them has a value:
+// count/avg/min/max, median, sd (sample), p10/p90 and slope (linear trend, units per day)
+function paramStats(rows, key, { excludeFlagged = false } = {}) {
+  const used = rows.filter(r => r[key] != null && Number.isFinite(r[key]) && (!excludeFlagged || !hasFlag(r, key)));
+  if (!used.length) return null;
+  const values = used.map(r => r[key]);
+  const sum = values.reduce((a, b) => a + b, 0);
+  const avg = sum / values.length;
+  const sd = values.length > 1 ? Math.sqrt(values.reduce((a, v) => a + (v - avg) ** 2, 0) / (values.length - 1)) : 0;
+  const timed = used.filter(r => r.ts).map(r => ({ x: r.ts.getTime() / 86400000, y: r[key] }));
+  const span = timed.length ? Math.max(...timed.map(p => p.x)) - Math.min(...timed.map(p => p.x)) : 0;
+  return {
+    count: values.length, avg, min: Math.min(...values), max: Math.max(...values),
+    median: median(values), sd, p10: percentile(values, 10), p90: percentile(values, 90),
+    // Under ~1 hour of data a per-day slope is mostly noise
+    slope: span >= 1 / 24 ? linearSlope(timed) : null,
+  };
+}
+// Linear interpolation between closest ranks
+function percentile(values, pct) {
+  const s = values.slice().sort((a, b) => a - b);
+  const i = (s.length - 1) * pct / 100;
+  const lo = Math.floor(i);
+  return s[lo] + (s[Math.min(lo + 1, s.length - 1)] - s[lo]) * (i - lo);
+}
+
+/* ---------- Period-over-period comparison ---------- */
+// With a full date range selected (the today/7d/30d chips or custom dates) the summary is compared
+// with the equal-length period just before it, fetched separately into previousPeriod. A range that
+// ends today is only partly over, so the previous one is cut at the same time of day (`until`).
+let previousPeriod = { key: null, rows: [] };
+
+function comparisonPeriod() {
+  const start = startDateFilter.value, end = endDateFilter.value;
+  if (!start || !end) return null;
+  const days = dayjs(end).diff(dayjs(start), 'day') + 1;
+  const prevEnd = dayjs(start).subtract(1, 'day');
+  const prevStart = prevEnd.subtract(days - 1, 'day');
+  const range = activeRange();
+  const label = range === 'today' ? t('summary.today')
+    : t(range === '7d' || range === '30d' ? 'summary.lastDays' : 'summary.custom', { days });
+  const until = end >= dayjs().format('YYYY-MM-DD') ? dayjs().subtract(days, 'day').valueOf() : null;
+  return { days, label, startDate: prevStart.format('YYYY-MM-DD'), endDate: prevEnd.format('YYYY-MM-DD'), until, device: selectedDevice() || null, devices: selectedDevices() };
+}
+
+async function fetchPreviousPeriod() {
+  const period = comparisonPeriod();
+  if (!period) { previousPeriod = { key: null, rows: [] }; return; }
+  const key = JSON.stringify([period.startDate, period.endDate, period.device, getDataSource().type]);
+  if (previousPeriod.key === key) return;
+  const rows = await fetchPeriodRows({ startDate: period.startDate, endDate: period.endDate, device: period.device });
+  previousPeriod = { key, rows };
+}
+
+// Rows for a date range outside the dashboard's cache (previous period, reports), with anomaly
+// flags; falls back to the offline store when the data source is unreachable
+async function fetchPeriodRows({ startDate, endDate, device }) {
+  const query = { limit: null, startDate, endDate, device };
+  let readings = [];
+  try {
+    readings = await activeSource().fetch(query);
+  } catch (error) {
+    if (!isNetworkError(error)) {
+      console.error('Error reading period:', error);
+      return [];
+    }
+    console.error('Data source unavailable, using offline data:', error);
+    readings = (await loadStoredReadings(query)).readings;
+  }
+  const demo = isDemoMode();
+  const rows = readings.map(r => toCacheRow(r, demo));
+  detectAnomalies(rows);
+  return rows;
+}
+
+// "+1.25" / "-0.50" / "0.00" (no sign once rounded to zero)
+function signed(v, digits) {
+  const t = v.toFixed(digits);
+  return Number(t) === 0 ? Math.abs(Number(t)).toFixed(digits) : (v > 0 ? `+${t}` : t);
+}
+
+function deltaHTML(now, before, digits) {
+  if (before == null) return `<span class="delta">${t('summary.noPrevious')}</span>`;
+  const d = now - before;
+  const pct = before ? ` (${signed(d / Math.abs(before) * 100, 1)}%)` : '';
+  const dir = Math.abs(d) < 10 ** -digits / 2 ? 'flat' : (d > 0 ? 'up' : 'down');
+  const arrow = { up: '▲', down: '▼', flat: '▬' }[dir];
+  return `<span class="delta ${dir}" title="${t('summary.previous', { v: fmtNumber(before, digits) })}">${arrow} ${signed(d, digits)}${pct}</span>`;
 }
+
 function updateSummary(rows) {
-  // Demo version: Show only EC and TDS metrics
-  const metrics = ['ec', 'tds'];
   summaryGrid.innerHTML = '';
+  const period = comparisonPeriod();
+  const heading = document.getElementById('summaryPeriod');
+  if (heading) heading.textContent = period ? period.label : t('summary.latestPoints', { n: rows.length });
   if (!rows.length) {
-    summaryGrid.innerHTML = '<div class="card" style="color:var(--muted)">ไม่มีข้อมูลในช่วงที่เลือก</div>';
+    summaryGrid.innerHTML = `<div class="card" style="color:var(--muted)">${t('common.noDataInRange')}</div>`;
     return;
   }
-  metrics.forEach(metric => {
-    const values = rows.map(r => r[metric]).filter(v => v !== null && !isNaN(v) && v > 0);
-    if (!values.length) {
-      // Show zero values for metrics with no data
-      summaryGrid.insertAdjacentHTML('beforeend', `<div class="card"><div class="t">${metric.toUpperCase()}</div><div style=\"font-size:14px; margin-top:4px;\">Avg: <span class=\"v\">0</span></div><div class=\"t\">Min: 0</div><div class=\"t\">Max: 0</div></div>`);
+  const opts = { excludeFlagged: summaryExcludeFlagged };
+  const prevRows = period && previousPeriod.rows.filter(r => (!period.devices || period.devices.includes(r.device))
+    && (period.until == null || (r.ts && r.ts.getTime() <= period.until)));
+  PARAMS.forEach(p => {
+    const st = paramStats(rows, p.key, opts);
+    if (!st) {
+      summaryGrid.insertAdjacentHTML('beforeend', `<div class="card"><div class="t">${p.label}</div><div class="nodata" style="font-size:14px; margin-top:4px;">${NO_DATA}</div></div>`);
       return;
     }
-    const sum = values.reduce((a, b) => a + b, 0);
-    const avg = sum / values.length;
-    const min = Math.min(...values);
-    const max = Math.max(...values);
-    
-    // Format values for EC and TDS (both are integers)
-    const fmtVal = v => v.toFixed(0);
-    
-    summaryGrid.insertAdjacentHTML('beforeend', `<div class="card"><div class="t">${metric.toUpperCase()}</div><div style=\"font-size:14px; margin-top:4px;\">Avg: <span class=\"v\">${fmtVal(avg)}</span></div><div class=\"t\">Min: ${fmtVal(min)}</div><div class=\"t\">Max: ${fmtVal(max)}</div></div>`);
-  });
-}
-function updateTable(rows) {
-  tbody.innerHTML = rows.slice(0, 60).map(r => `\
-    <tr>
-      <td>${fmtTime(r.ts)}</td>
-      <td>${r.device || ''}</td>
-      <td>0.00</td>
-      <td>${r.ec != null && r.ec > 0 ? r.ec.toFixed(0) : '0'}</td>
-      <td>0.00</td>
-      <td>0</td>
-      <td>0.0</td>
-      <td>${r.tds != null && r.tds > 0 ? r.tds.toFixed(0) : '0'}</td>
-      <td>0.0</td>
-    </tr>`).join('');
+    const fmtVal = v => fmtNumber(v, p.digits);
+    const prev = prevRows ? paramStats(prevRows, p.key, opts) : null;
+    const slope = st.slope == null ? '–' : t('common.perDay', { v: signed(st.slope, p.digits + 1) });
+    summaryGrid.insertAdjacentHTML('beforeend', `<div class="card"><div class="t">${p.label}</div>`
+      + `<div style="font-size:14px; margin-top:4px;">${t('summary.avg')}: <span class="v">${fmtVal(st.avg)}</span></div>`
+      + (period ? `<div class="t">${deltaHTML(st.avg, prev && prev.avg, p.digits)}</div>` : '')
+      + `<div class="t">${t('summary.median')}: ${fmtVal(st.median)} · ${t('summary.sd')}: ${fmtNumber(st.sd, p.digits + 1)}</div>`
+      + `<div class="t">P10–P90: ${fmtVal(st.p10)} – ${fmtVal(st.p90)}</div>`
+      + `<div class="t">${t('summary.min')}: ${fmtVal(st.min)} · ${t('summary.max')}: ${fmtVal(st.max)}</div>`
+      + `<div class="t">${t('summary.trend')}: ${slope} · n=${st.count}</div></div>`);
+  });
+}
+/* ---------- Readings table (data grid) ---------- */
+// Sortable, filterable and paged over the full filtered set. Column filters take "> 1000", "<= 7.5",
+// "!= 0", "6.5..8.5" or "no data" on parameter columns and plain text elsewhere. Rows are keyed by
+// device/id so a refresh only replaces the rows that changed.
+const TABLE_COLUMNS = [
+  { key: 'ts', text: r => fmtTime(r.ts), sortValue: r => (r.ts ? r.ts.getTime() : -Infinity) },
+  { key: 'device', text: r => r.device || '', sortValue: r => r.device || '' },
+  ...PARAMS.map(p => ({ key: p.key, param: p, text: r => fmtParam(r[p.key], p.digits), sortValue: r => r[p.key] })),
+  { key: 'flags', text: r => describeFlags(r), sortValue: r => (r.flags ? r.flags.length : 0) },
+];
+const TABLE_PAGE_SIZES = [25, 50, 100, 250];
+let tableSort = { key: 'ts', dir: -1 };
+let tablePage = 0;
+let tablePageSize = 50;
+let tableSearch = '';
+const tableFilters = {};
+const tableRowCache = new Map();
+let tableRows = [];
+
+// Returns a predicate over a cell value, null for an empty filter, or { error } when it can't be read
+function parseColumnFilter(text, numeric) {
+  const t = text.trim();
+  if (!t) return null;
+  if (!numeric) return v => String(v ?? '').toLowerCase().includes(t.toLowerCase());
+  if (/^(no ?data|ไม่มีข้อมูล)$/i.test(t)) return v => v == null;
+  const num = '(-?\\d*\\.?\\d+)';
+  let m = t.match(new RegExp(`^${num}\\s*\\.\\.\\s*${num}$`));
+  if (m) {
+    const [lo, hi] = [Number(m[1]), Number(m[2])].sort((a, b) => a - b);
+    return v => v != null && v >= lo && v <= hi;
+  }
+  m = t.match(new RegExp(`^(>=|<=|!=|>|<|=)?\\s*${num}$`));
+  if (!m) return { error: true };
+  const x = Number(m[2]);
+  const op = { '>': v => v > x, '>=': v => v >= x, '<': v => v < x, '<=': v => v <= x, '!=': v => v !== x, '=': v => v === x }[m[1] || '='];
+  return v => v != null && op(v);
+}
+
+function tableRowsFor(rows) {
+  const filters = TABLE_COLUMNS
+    .map(c => ({ c, fn: parseColumnFilter(tableFilters[c.key] || '', !!c.param) }))
+    .filter(f => typeof f.fn === 'function');
+  const q = tableSearch.trim().toLowerCase();
+  const out = rows.filter(r => filters.every(({ c, fn }) => fn(c.param ? r[c.key] : c.text(r)))
+    && (!q || TABLE_COLUMNS.some(c => c.text(r).toLowerCase().includes(q))));
+  const col = TABLE_COLUMNS.find(c => c.key === tableSort.key) || TABLE_COLUMNS[0];
+  // Cells without a value always sort last
+  return out.sort((a, b) => {
+    const va = col.sortValue(a), vb = col.sortValue(b);
+    if (va == null || vb == null) return (va == null) - (vb == null);
+    return (va < vb ? -1 : va > vb ? 1 : 0) * tableSort.dir;
+  });
+}
+
+// Outside the alarm thresholds (min/max) for the row's device
+function outOfRange(row, key) {
+  const rule = getRule(row.device, key);
+  const v = row[key];
+  return !!rule && v != null && ((rule.min != null && v < rule.min) || (rule.max != null && v > rule.max));
+}
+
+function tableRowKey(r) { return `${r.device}/${r.id ?? (r.ts ? r.ts.getTime() : '')}`; }
+
+function tableRowHTML(r) {
+  return `<td>${fmtTime(r.ts)}</td>
+      <td>${escapeHTML(r.device)}</td>
+      ${PARAMS.map(p => {
+        const v = r[p.key];
+        const cls = [v == null ? 'nodata' : (r.demo.includes(p.key) ? 'demo-val' : ''), hasFlag(r, p.key) ? 'flagged' : '', outOfRange(r, p.key) ? 'out-of-range' : ''].filter(Boolean).join(' ');
+        const hint = v != null ? rawHint(r, p.key) : '';
+        return `<td${cls ? ` class="${cls}"` : ''}${r.demo.includes(p.key) ? ` title="${t('common.demoValue')}"` : ''}>${fmtParam(v, p.digits)}${hint ? `<small class="raw">${hint}</small>` : ''}</td>`;
+      }).join('')}
+      <td class="flags">${r.flags && r.flags.length ? `⚠ ${describeFlags(r)}` : ''}</td>`;
+}
+
+function updateTable(rows = tableRows) {
+  tableRows = rows;
+  const sorted = tableRowsFor(rows);
+  const pages = Math.max(1, Math.ceil(sorted.length / tablePageSize));
+  tablePage = Math.min(tablePage, pages - 1);
+  const page = sorted.slice(tablePage * tablePageSize, (tablePage + 1) * tablePageSize);
+  const seen = new Set();
+  const trs = page.map(r => {
+    const html = tableRowHTML(r);
+    const key = tableRowKey(r);
+    let cached = tableRowCache.get(key);
+    if (!cached || cached.html !== html) {
+      const tr = cached ? cached.tr : document.createElement('tr');
+      tr.innerHTML = html;
+      tr.dataset.key = key;
+      tr.tabIndex = 0;
+      tr.title = t('table.showOnChart');
+      cached = { tr, html };
+      tableRowCache.set(key, cached);
+    }
+    seen.add(key);
+    return cached.tr;
+  });
+  [...tableRowCache.keys()].forEach(id => { if (!seen.has(id)) tableRowCache.delete(id); });
+  if (trs.length !== tbody.children.length || trs.some((tr, i) => tbody.children[i] !== tr)) tbody.replaceChildren(...trs);
+  if (!trs.length) tbody.innerHTML = `<tr><td colspan="${TABLE_COLUMNS.length}" class="nodata">${t(rows.length ? 'table.noMatch' : 'common.noDataInRange')}</td></tr>`;
+  const info = document.getElementById('tablePageInfo');
+  if (info) {
+    const from = sorted.length ? tablePage * tablePageSize + 1 : 0;
+    info.textContent = t('table.pageInfo', {
+      from, to: tablePage * tablePageSize + page.length, total: sorted.length, page: tablePage + 1, pages,
+      filtered: sorted.length !== rows.length ? t('table.filteredFrom', { n: rows.length }) : '',
+    });
+    document.getElementById('tableFirst').disabled = document.getElementById('tablePrev').disabled = tablePage === 0;
+    document.getElementById('tableNext').disabled = document.getElementById('tableLast').disabled = tablePage >= pages - 1;
+  }
+  document.querySelectorAll('#readingsTable th[data-col]').forEach(th => {
+    th.setAttribute('aria-sort', th.dataset.col === tableSort.key ? (tableSort.dir > 0 ? 'ascending' : 'descending') : 'none');
+  });
+}
+
+function setupTable() {
+  const table = document.getElementById('readingsTable');
+  if (!table) return;
+  const headRow = table.querySelector('thead tr');
+  headRow.querySelectorAll('th').forEach((th, i) => { th.dataset.col = TABLE_COLUMNS[i].key; th.classList.add('sortable'); });
+  headRow.addEventListener('click', e => {
+    const th = e.target.closest('th[data-col]');
+    if (!th) return;
+    tableSort = th.dataset.col === tableSort.key ? { key: th.dataset.col, dir: -tableSort.dir } : { key: th.dataset.col, dir: th.dataset.col === 'ts' ? -1 : 1 };
+    tablePage = 0;
+    updateTable();
+  });
+  headRow.insertAdjacentHTML('afterend', `<tr class="filter-row">${TABLE_COLUMNS.map(c => `<th><input type="text" data-col="${c.key}" aria-label="${t('table.filter', { col: c.key })}" placeholder="${c.param ? '> 1000' : t('table.filterText')}"></th>`).join('')}</tr>`);
+  table.querySelectorAll('.filter-row input').forEach(inp => inp.addEventListener('input', () => {
+    tableFilters[inp.dataset.col] = inp.value;
+    const fn = parseColumnFilter(inp.value, !!TABLE_COLUMNS.find(c => c.key === inp.dataset.col).param);
+    inp.classList.toggle('invalid', !!(fn && fn.error));
+    tablePage = 0;
+    updateTable();
+  }));
+  document.getElementById('tableSearch').addEventListener('input', e => { tableSearch = e.target.value; tablePage = 0; updateTable(); });
+  const ddSize = document.getElementById('tablePageSize');
+  ddSize.innerHTML = TABLE_PAGE_SIZES.map(n => `<option value="${n}">${t('table.rowsPerPage', { n })}</option>`).join('');
+  ddSize.value = String(tablePageSize);
+  ddSize.addEventListener('change', () => { tablePageSize = Number(ddSize.value); tablePage = 0; updateTable(); });
+  const go = page => { tablePage = Math.max(0, page); updateTable(); };
+  document.getElementById('tableFirst').addEventListener('click', () => go(0));
+  document.getElementById('tablePrev').addEventListener('click', () => go(tablePage - 1));
+  document.getElementById('tableNext').addEventListener('click', () => go(tablePage + 1));
+  document.getElementById('tableLast').addEventListener('click', () => go(Infinity));
+  // Click (or Enter) on a row: show that reading on the chart
+  const focusRow = tr => {
+    const row = tr && tableRows.find(r => tableRowKey(r) === tr.dataset.key);
+    if (row && row.ts) focusChartAt(row);
+  };
+  tbody.addEventListener('click', e => focusRow(e.target.closest('tr[data-key]')));
+  tbody.addEventListener('keydown', e => { if (e.key === 'Enter') focusRow(e.target.closest('tr[data-key]')); });
 }
 // ตรวจสอบว่าข้อมูลเป็นของวันนี้หรือไม่
 function isShowingTodayData() {
@@ -340,160 +1185,3014 @@ function isShowingTodayData() {
          (!startDate && endDate === today);
 }
 
+const PARAM_COLORS = { 
+  ph: '#e45756', 
+  ec: '#1f77b4', 
+  do: '#54a24b', 
+  orp: '#f2af58', 
+  turbidity: '#72b7b2', 
+  tds: '#4c78a8', 
+  temp: '#b279a2', 
+  wqi: '#0f766e' 
+}; 
+// Comparison mode: one colour per device, assigned by position in the sorted device list
+const DEVICE_COLORS = ['#1f77b4', '#e45756', '#54a24b', '#f2af58', '#b279a2', '#72b7b2', '#ff9da6', '#9d755d', '#4c78a8', '#bab0ac'];
+
+// 'params' = one line per parameter (interleaved devices), 'compare' = one line per device for compareParam
+let chartMode = 'params';
+let compareParam = 'ec';
+// 'auto' | 'raw' | '5m' | '1h' | '1d'. Raw is cut to the Points filter; aggregated modes cover the whole range.
+let chartAgg = 'auto';
+const AGG_BUCKETS = { '5m': 5 * 60000, '1h': 3600000, '1d': 86400000 };
+// Series the user switched off in the legend, keyed `${mode}:${key}` so they survive redraws
+const chartHidden = new Set();
+
+// Pick a bucket for 'auto' from the selected date range: no range or ≤1 day → raw, ≤3 days → 5 min,
+// ≤31 days → hourly, longer → daily
+function resolveAgg(rows) {
+  if (chartAgg !== 'auto') return chartAgg;
+  if (!startDateFilter.value && !endDateFilter.value) return 'raw';
+  const times = rows.filter(r => r.ts).map(r => r.ts.getTime());
+  if (!times.length) return 'raw';
+  const days = (Math.max(...times) - Math.min(...times)) / 86400000;
+  if (days <= 1) return 'raw';
+  if (days <= 3) return '5m';
+  if (days <= 31) return '1h';
+  return '1d';
+}
+
+function bucketStart(t, agg) {
+  if (agg === '1d') return dayjs(t).startOf('day').valueOf();
+  if (agg === '1h') return dayjs(t).startOf('hour').valueOf();
+  return Math.floor(t / AGG_BUCKETS[agg]) * AGG_BUCKETS[agg];
+}
+
+// rows (newest first) → chart points oldest first: { x: epoch ms, y, device } for raw,
+// { x, y: mean, min, max, n } per bucket otherwise. A null point is inserted wherever the
+// device went silent (gap > 3× the median interval, or a missing bucket) so the line breaks there.
+function buildSeries(rows, key, agg, limit) {
+  let points = rows.filter(r => r.ts && r[key] != null).map(r => ({ x: r.ts.getTime(), y: r[key], device: r.device, hint: rawHint(r, key), flag: hasFlag(r, key) ? describeFlags({ flags: r.flags.filter(f => f.key === key) }) : null }));
+  if (agg === 'raw') {
+    points = points.slice(0, limit).reverse();
+  } else {
+    const buckets = new Map();
+    points.forEach(p => {
+      const b = bucketStart(p.x, agg);
+      const acc = buckets.get(b) || { x: b, sum: 0, n: 0, min: Infinity, max: -Infinity };
+      acc.sum += p.y; acc.n++;
+      acc.min = Math.min(acc.min, p.y); acc.max = Math.max(acc.max, p.y);
+      buckets.set(b, acc);
+    });
+    points = [...buckets.values()].sort((a, b) => a.x - b.x)
+      .map(b => ({ x: b.x, y: Math.round(b.sum / b.n * 100) / 100, min: b.min, max: b.max, n: b.n }));
+  }
+  return insertGaps(points, agg === 'raw' ? null : AGG_BUCKETS[agg] * 1.5);
+}
+
+function insertGaps(points, maxStep) {
+  if (points.length < 3) return points;
+  if (maxStep == null) {
+    const steps = points.slice(1).map((p, i) => p.x - points[i].x).filter(d => d > 0).sort((a, b) => a - b);
+    if (!steps.length) return points;
+    maxStep = Math.max(steps[Math.floor(steps.length / 2)] * 3, 5 * 60000);
+  }
+  const out = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].x - points[i - 1].x > maxStep) out.push({ x: points[i - 1].x + 1, y: null });
+    out.push(points[i]);
+  }
+  return out;
+}
+
+// Line dataset plus, for aggregated series, a min/max band drawn as two hidden-from-legend datasets
+function seriesDatasets(key, label, color, points, agg, hiddenId) {
+  const hidden = chartHidden.has(hiddenId);
+  const line = { label, key, borderColor: color, backgroundColor: color, data: points, tension: .25, borderWidth: 2, pointRadius: agg === 'raw' ? 2 : 1, spanGaps: false, hidden };
+  if (agg === 'raw') {
+    // Suspect points (see detectAnomalies) get a larger red triangle
+    Object.assign(line, {
+      pointStyle: c => (c.raw && c.raw.flag ? 'triangle' : 'circle'),
+      pointRadius: c => (c.raw && c.raw.flag ? 6 : 2),
+      pointBackgroundColor: c => (c.raw && c.raw.flag ? '#dc2626' : color),
+      pointBorderColor: c => (c.raw && c.raw.flag ? '#dc2626' : color),
+    });
+  }
+  if (agg === 'raw' || !points.length) return [line];
+  const band = (field) => ({ label: `${label} ${field}`, key, band: true, data: points.map(p => ({ x: p.x, y: p.y == null ? null : p[field] })), borderWidth: 0, pointRadius: 0, tension: .25, spanGaps: false, hidden });
+  return [
+    { ...band('min'), fill: false },
+    { ...band('max'), fill: '-1', backgroundColor: color + '22' },
+    line,
+  ];
+}
+
+// x axis labels: time only within a day, date + time over a few days, date only for daily buckets.
+// These are fmtDate options, so ticks follow the language and era like every other date
+const TICK_DAY_FORMAT = { day: '2-digit', month: '2-digit' };
+const TICK_TIME_FORMAT = { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+function timeTickFormat(spanMs, agg) {
+  if (agg === '1d') return TICK_DAY_FORMAT;
+  if (spanMs <= 86400000) return TICK_TIME_FORMAT;
+  return { ...TICK_DAY_FORMAT, ...TICK_TIME_FORMAT };
+}
+
 function makeChart(ctx) { 
-  const colors = { 
-    ph: '#e45756', 
-    ec: '#1f77b4', 
-    do: '#54a24b', 
-    orp: '#f2af58', 
-    turbidity: '#72b7b2', 
-    tds: '#4c78a8', 
-    temp: '#b279a2' 
-  }; 
   return new Chart(ctx, { 
     type: 'line', 
+    plugins: [annotationPlugin],
     data: { 
-      labels: [], 
-      datasets: [
-        // Demo: Hide pH (set to 0, gray color, thin line)
-        { label: 'pH', borderColor: '#ccc', backgroundColor: '#ccc', data: [], tension: .25, borderWidth: 1, hidden: true }, 
-        // Demo: Highlight EC with real data (thick line, bright color)
-        { label: 'EC (µS/cm)', borderColor: colors.ec, backgroundColor: colors.ec, data: [], tension: .25, borderWidth: 3 }, 
-        // Demo: Hide DO (set to 0, gray color, thin line)
-        { label: 'DO (mg/L)', borderColor: '#ccc', backgroundColor: '#ccc', data: [], tension: .25, borderWidth: 1, hidden: true }, 
-        // Demo: Hide ORP (set to 0, gray color, thin line)
-        { label: 'ORP (mV)', borderColor: '#ccc', backgroundColor: '#ccc', data: [], tension: .25, borderWidth: 1, hidden: true }, 
-        // Demo: Hide Turbidity (set to 0, gray color, thin line)
-        { label: 'Turbidity (NTU)', borderColor: '#ccc', backgroundColor: '#ccc', data: [], tension: .25, borderWidth: 1, hidden: true }, 
-        // Demo: Highlight TDS with real data (thick line, bright color)
-        { label: 'TDS (ppm)', borderColor: colors.tds, backgroundColor: colors.tds, data: [], tension: .25, borderWidth: 3 }, 
-        // Demo: Hide Temp (set to 0, gray color, thin line)
-        { label: 'Temp (°C)', borderColor: '#ccc', backgroundColor: '#ccc', data: [], tension: .25, borderWidth: 1, hidden: true }
-      ] 
+      datasets: []
     }, 
     options: { 
       responsive: true, 
       maintainAspectRatio: false, 
+      parsing: false,
       interaction: { mode: 'nearest', intersect: false }, 
+      onClick: onChartClick,
       plugins: { 
         legend: { 
+          // Toggle a series (and its min/max band) and remember it across refreshes
+          onClick: (e, item, legend) => {
+            const chart = legend.chart;
+            const ds = chart.data.datasets[item.datasetIndex];
+            const id = `${chartMode}:${ds.key}`;
+            const hidden = !chartHidden.has(id);
+            if (hidden) chartHidden.add(id); else chartHidden.delete(id);
+            chart.data.datasets.forEach((d, i) => {
+              if (d.key !== ds.key) return;
+              d.hidden = hidden;
+              chart.getDatasetMeta(i).hidden = null;
+            });
+            if (ds.yAxisID === 'yWqi') chart.options.scales.yWqi.display = !hidden;
+            chart.update();
+            syncUrlState();
+          },
           labels: { 
             color: '#111', 
             usePointStyle: true, 
             pointStyle: 'circle', 
             pointRadius: 4, 
             boxWidth: 10, 
-            boxHeight: 10 
+            boxHeight: 10,
+            filter: (item, data) => !data.datasets[item.datasetIndex].band
           } 
         }, 
         tooltip: { 
+          filter: (item) => !item.dataset.band,
           callbacks: { 
             title: function (context) { 
-              const dataIndex = context[0].dataIndex; 
-              const timeLabel = CHART.data.meta && CHART.data.meta[dataIndex] ? CHART.data.meta[dataIndex] : context[0].label; 
-              const deviceLabel = CHART.data.devices && CHART.data.devices[dataIndex] ? `Device: ${CHART.data.devices[dataIndex]}` : ''; 
-              return deviceLabel ? `${timeLabel}\n${deviceLabel}` : timeLabel; 
-            } 
+              const raw = context[0].raw || {};
+              const timeLabel = fmtDate(raw.x, CHART.$agg === '1d' ? DATE_FORMAT : (CHART.$agg === 'raw' ? DATE_TIME_FORMAT : DATE_MINUTE_FORMAT));
+              return raw.device && chartMode === 'params' ? `${timeLabel}\n${t('common.device')}: ${deviceLabel(raw.device)}` : timeLabel;
+            },
+            label: function (context) {
+              const raw = context.raw || {};
+              const base = `${context.dataset.label}: ${raw.y}${raw.hint ? ` (${raw.hint})` : ''}${raw.flag ? ` ⚠ ${raw.flag}` : ''}`;
+              return raw.min != null ? `${base} ${t('chart.band', raw)}` : base;
+            }
           } 
         } 
       }, 
       scales: { 
-        x: { ticks: { color: '#444' }, grid: { color: '#ececec' } }, 
-        y: { ticks: { color: '#444' }, grid: { color: '#ececec' } } 
+        x: { type: 'linear', ticks: { color: '#444', maxRotation: 0, autoSkipPadding: 12 }, grid: { color: '#ececec' } }, 
+        y: { ticks: { color: '#444' }, grid: { color: '#ececec' } }, 
+        // Water-quality index (0–100), shown only while a WQI series is visible
+        yWqi: { position: 'right', min: 0, max: 100, display: false, ticks: { color: '#444' }, grid: { drawOnChartArea: false } } 
       } 
     } 
   }); 
 }
+
+// Set from the readings table: the chart zooms to ±CHART_FOCUS_WINDOW around one reading
+let chartFocus = null;
+const CHART_FOCUS_WINDOW = 6 * 3600000;
+
+function focusChartAt(row) {
+  chartFocus = { t: row.ts.getTime(), device: row.device };
+  document.getElementById('chartFocusReset').hidden = false;
+  updateChart(filterRows());
+  document.getElementById('chart').scrollIntoView({ behavior: 'smooth', block: 'center' });
+  showToast(t('chart.toast', { label: `${fmtTime(row.ts)}${row.device ? ` · ${row.device}` : ''}` }));
+}
+function clearChartFocus() {
+  chartFocus = null;
+  document.getElementById('chartFocusReset').hidden = true;
+  updateChart(filterRows());
+}
+
+// Highlight the focused reading (one point per visible series) and show its tooltip
+function highlightChartFocus(agg) {
+  const x = agg === 'raw' ? chartFocus.t : bucketStart(chartFocus.t, agg);
+  const active = [];
+  CHART.data.datasets.forEach((ds, datasetIndex) => {
+    if (ds.band || ds.hidden) return;
+    if (chartMode === 'compare' && ds.key !== chartFocus.device) return;
+    const index = ds.data.findIndex(p => p.x === x && (!p.device || p.device === chartFocus.device));
+    if (index >= 0) active.push({ datasetIndex, index });
+  });
+  CHART.setActiveElements(active);
+  CHART.tooltip.setActiveElements(active, { x: 0, y: 0 });
+  CHART.update('none');
+}
+
+// rows: the filtered set, newest first
 function updateChart(rows) { 
-  // แสดงเวลาในรูปแบบ HH:mm เสมอ
-  const labels = rows.map(r => {
-    return dayjs(r.ts).format('HH:mm'); // แสดงเฉพาะเวลา HH:mm
-  }).reverse();
-  
-  const timeLabels = rows.map(r => dayjs(r.ts).format('DD/MM/YYYY HH:mm:ss')).reverse(); 
-  const deviceLabels = rows.map(r => r.device || 'Unknown').reverse(); 
-  const pick = k => rows.map(r => r[k]).reverse(); 
-  
-  CHART.data.labels = labels; 
-  CHART.data.meta = timeLabels; 
-  CHART.data.devices = deviceLabels; 
-  CHART.data.datasets[0].data = pick('ph'); 
-  CHART.data.datasets[1].data = pick('ec'); 
-  CHART.data.datasets[2].data = pick('do'); 
-  CHART.data.datasets[3].data = pick('orp'); 
-  CHART.data.datasets[4].data = pick('turbidity'); 
-  CHART.data.datasets[5].data = pick('tds'); 
-  CHART.data.datasets[6].data = pick('temp'); 
+  if (chartFocus) rows = rows.filter(r => r.ts && Math.abs(r.ts.getTime() - chartFocus.t) <= CHART_FOCUS_WINDOW);
+  // Around a focused reading every point in the window is drawn
+  const baseLimit = chartFocus ? rows.length : Number(ddPoints.value || 100);
+  const agg = chartFocus && chartAgg === 'auto' ? 'raw' : resolveAgg(rows);
+  let datasets;
+  // Projection past the newest reading, unless zoomed on a reading or looking at a past range
+  const showForecast = forecastHours > 0 && !chartFocus && (!endDateFilter.value || endDateFilter.value >= dayjs().format('YYYY-MM-DD'));
+  let forecasts = [];
+  if (chartMode === 'compare') {
+    const param = PARAMS.concat(WQI_SERIES).find(p => p.key === compareParam) || PARAMS[1];
+    const devices = uniq(knownDevices.concat(rows.map(r => r.device)).filter(Boolean)).sort();
+    datasets = devices.flatMap(d => {
+      const points = buildSeries(rows.filter(r => r.device === d), param.key, agg, baseLimit);
+      if (!points.length) return [];
+      const color = DEVICE_COLORS[devices.indexOf(d) % DEVICE_COLORS.length];
+      const fc = showForecast && FORECAST_PARAMS.includes(param.key) && deviceForecast(d, param.key);
+      if (fc) forecasts.push(...forecastDatasets(fc, `forecast:${d}`, `${d} · ${t('forecast.label')}`, color, `compare:forecast:${d}`));
+      return seriesDatasets(d, `${d} · ${param.label}`, color, points, agg, `compare:${d}`);
+    });
+  } else {
+    // Raw mode keeps the newest N rows across all devices, as before
+    const limited = agg === 'raw' ? rows.slice(0, baseLimit) : rows;
+    datasets = PARAMS.flatMap(p => {
+      const points = buildSeries(limited, p.key, agg, baseLimit);
+      // Tell the user in the legend when a parameter has nothing to plot
+      const label = points.length ? p.label : `${p.label} – ${NO_DATA}`;
+      return seriesDatasets(p.key, label, PARAM_COLORS[p.key], points, agg, `params:${p.key}`);
+    });
+    const wqiPoints = buildSeries(limited, 'wqi', agg, baseLimit);
+    if (wqiPoints.length) {
+      datasets.push(...seriesDatasets('wqi', `${WQI_SERIES.label} (${WQI_PROFILES[wqiProfile].label})`, PARAM_COLORS.wqi, wqiPoints, agg, 'params:wqi')
+        .map(ds => ({ ...ds, yAxisID: 'yWqi', borderDash: ds.band ? undefined : [6, 3] })));
+    }
+    // With one device selected, its EC/TDS projections
+    const device = selectedDevice();
+    if (showForecast && device) {
+      forecasts = FORECAST_PARAMS.flatMap(key => {
+        const fc = deviceForecast(device, key);
+        return fc ? forecastDatasets(fc, `forecast:${key}`, `${paramLabel(key).split(' ')[0]} – ${t('forecast.label')}`, PARAM_COLORS[key], `params:forecast:${key}`) : [];
+      });
+    }
+  }
+  // Span of the axis: the selected date range if any, otherwise the data
+  const xs = datasets.flatMap(ds => ds.data.map(p => p.x));
+  let min = startDateFilter.value ? dayjs(startDateFilter.value).startOf('day').valueOf() : (xs.length ? Math.min(...xs) : undefined);
+  let max = endDateFilter.value ? Math.min(dayjs(endDateFilter.value).endOf('day').valueOf(), Date.now()) : (xs.length ? Math.max(...xs) : undefined);
+  if (chartFocus) [min, max] = [chartFocus.t - CHART_FOCUS_WINDOW, chartFocus.t + CHART_FOCUS_WINDOW];
+  // Lab samples as diamonds, within the span that has sensor data
+  if (min != null && max != null) datasets.push(...labDatasets(min, max));
+  CHART.$annotations = min != null && max != null ? annotationMarkers(min, max) : [];
+  // Projections go in after those, and the axis extends over them
+  if (forecasts.length && max != null) {
+    datasets.push(...forecasts);
+    max = Math.max(max, ...forecasts.flatMap(ds => ds.data.map(p => p.x)));
+  }
+  const fmt = timeTickFormat((max ?? 0) - (min ?? 0), agg);
+  CHART.$agg = agg;
+  CHART.data.datasets = datasets;
+  Object.assign(CHART.options.scales.x, { min, max });
+  CHART.options.scales.yWqi.display = datasets.some(ds => ds.yAxisID === 'yWqi' && !ds.hidden);
+  CHART.options.scales.x.ticks.callback = v => fmtDate(v, fmt);
   CHART.update('none'); 
+  if (chartFocus) highlightChartFocus(agg);
 }
 
-/* ================== Export ================== */
-function exportCSVRange(startISO, endISO) {
-  const device = document.getElementById('exportDevice').value; // Get device from export modal
-  let rows = cache.slice();
-  if (device) rows = rows.filter(r => r.device === device);
-  const start = startISO ? dayjs(startISO) : null;
-  const end = endISO ? dayjs(endISO) : null;
-  if (start || end) {
-    rows = rows.filter(r => {
-      if (!r.ts) return false;
-      const t = dayjs(r.ts);
-      if (start && t.isBefore(start)) return false;
-      if (end && t.isAfter(end)) return false;
-      return true;
-    });
+function setupChartControls() {
+  const ddMode = document.getElementById('chartMode');
+  const ddParam = document.getElementById('compareParam');
+  const ddAgg = document.getElementById('chartAgg');
+  const ddForecast = document.getElementById('forecastHours');
+  if (!ddMode || !ddParam) return;
+  document.getElementById('chartFocusReset').addEventListener('click', clearChartFocus);
+  ddParam.innerHTML = PARAMS.concat(WQI_SERIES).map(p => `<option value="${p.key}">${p.label}</option>`).join('');
+  ddParam.value = compareParam;
+  ddMode.value = chartMode;
+  const sync = () => { ddParam.hidden = chartMode !== 'compare'; };
+  ddMode.addEventListener('change', () => {
+    chartMode = ddMode.value;
+    sync();
+    render();
+    showToast(chartMode === 'compare' ? t('chart.compareToast', { param: ddParam.selectedOptions[0].textContent }) : t('chart.toast', { label: t('chart.allParams') }));
+  });
+  ddParam.addEventListener('change', () => { compareParam = ddParam.value; render(); });
+  if (ddAgg) {
+    ddAgg.value = chartAgg;
+    ddAgg.addEventListener('change', () => { chartAgg = ddAgg.value; render(); showToast(t('chart.toast', { label: ddAgg.selectedOptions[0].textContent })); });
   }
-  const header = ['Time', 'Device', 'pH', 'EC(µS/cm)', 'DO(mg/L)', 'ORP(mV)', 'Turbidity(NTU)', 'TDS(ppm)', 'Temp(°C)'];
-  const lines = [header.join(',')].concat(rows.map(r => [
-    fmtTime(r.ts), r.device || '', 
-    '0.00',  // Demo: pH always 0
-    r.ec != null && r.ec > 0 ? r.ec.toFixed(0) : '0',  // Real EC data
-    '0.00',  // Demo: DO always 0
-    '0',     // Demo: ORP always 0
-    '0.0',   // Demo: Turbidity always 0
-    r.tds != null && r.tds > 0 ? r.tds.toFixed(0) : '0',  // Real TDS data
-    '0.0'    // Demo: Temp always 0
-  ].map(v => { const s = (v ?? '').toString(); return s.includes(',') ? `"${s.replace(/"/g, '""')}"` : s; }).join(',')));
-  const blob = new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8;' });
-  const a = document.createElement('a');
-  a.href = URL.createObjectURL(blob);
-  const dev = device || 'all';
-  const sn = startISO ? dayjs(startISO).format('YYYY-MM-DD_HH-mm') : (startDateFilter.value || 'start');
-  const en = endISO ? dayjs(endISO).format('YYYY-MM-DD_HH-mm') : (endDateFilter.value || 'end');
-  a.download = `water-quality-${dev}-${sn}_to_${en}.csv`;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
+  if (ddForecast) {
+    ddForecast.value = String(forecastHours);
+    ddForecast.addEventListener('change', () => { forecastHours = Number(ddForecast.value); render(); showToast(t('chart.toast', { label: ddForecast.selectedOptions[0].textContent })); });
+  }
+  sync();
 }
 
-/* ================== Refresh ================== */
-let realtimeListeners = [];
+/* ================== Device Health ================== */
+// Built from cache: last seen, reporting interval, data gaps, RSSI trend and an online/stale/offline status.
+// A device is online while silent for ≤ 3 expected intervals, stale up to 12, offline beyond that.
+const DEFAULT_REPORT_INTERVAL_MS = 60000;
+const HEALTH_STATUS = {
+  online: { dot: '🟢', label: t('health.online') },
+  stale: { dot: '🟡', label: t('health.stale') },
+  offline: { dot: '🔴', label: t('health.offline') },
+  unknown: { dot: '⚪', label: NO_DATA },
+};
+// Newest reading time per device over the whole session (cache may only hold an older date range)
+const deviceLastSeen = {};
 
-async function refresh() { 
-  const baseLimit = Number(ddPoints.value || 100); 
-  const startDate = startDateFilter.value || null; 
-  const endDate = endDateFilter.value || null; 
+function trackLastSeen(rows) {
+  rows.forEach(r => {
+    if (r.device && r.ts && !(deviceLastSeen[r.device] >= r.ts.getTime())) deviceLastSeen[r.device] = r.ts.getTime();
+  });
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const s = values.slice().sort((a, b) => a - b);
+  const m = Math.floor(s.length / 2);
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+// 45s, 5m, 2h 5m, 3d 4h
+function formatDuration(ms) {
+  if (ms == null || !Number.isFinite(ms)) return '–';
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m`;
+  const h = Math.floor(m / 60);
+  if (h < 24) return `${h}h${m % 60 ? ` ${m % 60}m` : ''}`;
+  return `${Math.floor(h / 24)}d${h % 24 ? ` ${h % 24}h` : ''}`;
+}
+
+// Wi-Fi RSSI (dBm) → signal grade
+function rssiGrade(rssi) {
+  if (rssi == null) return '–';
+  if (rssi >= -55) return t('health.rssiExcellent');
+  if (rssi >= -67) return t('health.rssiGood');
+  if (rssi >= -75) return t('health.rssiFair');
+  if (rssi >= -85) return t('health.rssiWeak');
+  return t('health.rssiPoor');
+}
+
+// Least-squares slope of y over x (per unit of x); null with fewer than 2 points
+function linearSlope(points) {
+  if (points.length < 2) return null;
+  const n = points.length;
+  const mx = points.reduce((a, p) => a + p.x, 0) / n;
+  const my = points.reduce((a, p) => a + p.y, 0) / n;
+  const den = points.reduce((a, p) => a + (p.x - mx) ** 2, 0);
+  return den ? points.reduce((a, p) => a + (p.x - mx) * (p.y - my), 0) / den : 0;
+}
+
+// Expected reporting interval: the one set in the device's metadata, else its typical (median) step between readings
+function expectedInterval(device, steps) {
+  const configured = deviceMeta[device] && deviceMeta[device].interval;
+  if (configured) return configured * 60000;
+  return median(steps) || DEFAULT_REPORT_INTERVAL_MS;
+}
+
+function deviceHealth(device, now = Date.now()) {
+  const rows = cache.filter(r => r.device === device && r.ts).sort((a, b) => a.ts - b.ts);
+  const lastSeen = deviceLastSeen[device] || (rows.length ? rows[rows.length - 1].ts.getTime() : null);
+  if (!lastSeen) return { device, status: 'unknown' };
+  const steps = rows.slice(1).map((r, i) => r.ts - rows[i].ts).filter(d => d > 0);
+  const expected = expectedInterval(device, steps);
+  const recent = steps.slice(-10);
+  const actual = recent.length ? recent.reduce((a, b) => a + b, 0) / recent.length : null;
+  const gaps = steps.filter(d => d > expected * 3);
+  const age = now - lastSeen;
+  const status = age <= expected * 3 ? 'online' : (age <= expected * 12 ? 'stale' : 'offline');
+  const rssiPoints = rows.filter(r => r.rssi != null).slice(-30).map(r => ({ x: r.ts.getTime() / 3600000, y: r.rssi }));
+  const rssi = rssiPoints.length ? rssiPoints[rssiPoints.length - 1].y : null;
+  return {
+    device, status, lastSeen, age, expected, actual,
+    gapCount: gaps.length,
+    gapLongest: gaps.length ? Math.max(...gaps) : 0,
+    gapTotal: gaps.reduce((a, b) => a + b, 0),
+    rssi, rssiGrade: rssiGrade(rssi),
+    rssiTrend: linearSlope(rssiPoints), // dB per hour
+  };
+}
+
+function healthBadge(device) {
+  const st = HEALTH_STATUS[deviceHealth(device).status];
+  return `${st.dot} ${st.label}`;
+}
+
+function updateDeviceHealth() {
+  const grid = document.getElementById('deviceHealthGrid');
+  if (!grid) return;
+  const devices = uniq(knownDevices.concat(cache.map(r => r.device)).filter(Boolean)).sort();
+  if (!devices.length) {
+    grid.innerHTML = `<div class="card" style="color:var(--muted)">${t('health.noDevices')}</div>`;
+    return;
+  }
+  grid.innerHTML = devices.map(d => {
+    const h = deviceHealth(d);
+    const st = HEALTH_STATUS[h.status];
+    if (h.status === 'unknown') {
+      return `<div class="card health ${h.status}"><div class="health-head"><strong>${escapeHTML(deviceLabel(d))}</strong><span class="status">${st.dot} ${st.label}</span></div></div>`;
+    }
+    const q = dataQuality(d);
+    const trend = h.rssiTrend == null ? '' : (h.rssiTrend > 0.5 ? '↗' : (h.rssiTrend < -0.5 ? '↘' : '→'));
+    return `<div class="card health ${h.status}">
+      <div class="health-head"><strong>${escapeHTML(deviceLabel(d))}</strong><span class="status">${st.dot} ${st.label}</span></div>
+      <div class="t">${t('health.lastSeen')}</div><div>${fmtTime(new Date(h.lastSeen))} <span class="t">(${t('common.ago', { d: formatDuration(h.age) })})</span></div>
+      <div class="t">${t('health.interval')}</div><div>${formatDuration(h.expected)} / ${formatDuration(h.actual)}</div>
+      <div class="t">${t('health.gapsLabel')}</div><div>${h.gapCount ? t('health.gaps', { n: h.gapCount, longest: formatDuration(h.gapLongest), total: formatDuration(h.gapTotal) }) : t('common.none')}</div>
+      <div class="t">${t('health.quality')}</div><div>${q ? `${q.score}%${q.flagged ? ` · ${Object.entries(q.counts).map(([t, n]) => `${ANOMALY_LABELS[t]} ${n}`).join(', ')}` : ''}` : '–'}</div>
+      <div class="t">${t('health.rssi')}</div><div>${h.rssi != null ? `${h.rssi} dBm (${h.rssiGrade}) ${trend} ${h.rssiTrend != null ? `${h.rssiTrend.toFixed(1)} dB/h` : ''}` : NO_DATA}</div>
+    </div>`;
+  }).join('');
+}
+
+/* ================== Devices & Sites ================== */
+// Metadata per device: { name, site, lat, lng, sensors: [param keys], interval (minutes), remote }.
+// Always kept in localStorage; with the Firebase source it is also stored at /devices/<id>/meta and
+// read back on refresh. The device filter is grouped by site, and its "site:<name>" entries select
+// every device of a site (KPIs then show the site average of each device's latest reading).
+const DEVICE_META_STORAGE_KEY = 'water-quality-device-meta';
+const SITE_PREFIX = 'site:';
+
+let deviceMeta = (() => {
+  try { return JSON.parse(localStorage.getItem(DEVICE_META_STORAGE_KEY)) || {}; } catch { return {}; }
+})();
+
+function saveDeviceMetaCache() {
+  try { localStorage.setItem(DEVICE_META_STORAGE_KEY, JSON.stringify(deviceMeta)); } catch { }
+}
+
+// Metadata that was only saved locally (remote: false) survives a sync
+async function syncDeviceMeta(devices) {
+  const answered = await Promise.all(devices.map(d => fetchFirebaseJSON(`/devices/${encodeURIComponent(d)}/meta`)
+    .then(meta => ({ device: d, meta }))
+    .catch(() => null)));
+  answered.filter(Boolean).forEach(({ device, meta }) => applyDeviceMeta(device, meta));
+  saveDeviceMetaCache();
+}
+function applyDeviceMeta(device, meta) {
+  if (meta) deviceMeta[device] = { ...meta, remote: true };
+  else if (deviceMeta[device] && deviceMeta[device].remote) delete deviceMeta[device];
+}
+
+/* ---------- Per-device records (metadata, lab samples, annotations) ---------- */
+// Read once per device when it first shows up, not on every refresh. With the SDK loaded, onValue
+// listeners keep them current from then on; without it they are read again after coming back online.
+// stopRealtimeListeners detaches those listeners and forgets the devices, so they are watched again.
+const recordsSynced = new Set();
+let recordListeners = [];
+async function syncDeviceExtras() {
+  if (getDataSource().type !== 'firebase') return;
+  const devices = uniq(knownDevices.concat(cache.map(r => r.device)).filter(Boolean)).filter(d => !recordsSynced.has(d));
+  if (!devices.length) return;
+  devices.forEach(d => recordsSynced.add(d));
+  if (window.firebase) {
+    devices.forEach(watchDeviceExtras);
+    return;
+  }
+  await Promise.all([
+    syncDeviceMeta(devices).catch(error => console.error('Device metadata unavailable:', error)),
+    syncLabSamples(devices).catch(error => console.error('Lab samples unavailable:', error)),
+    syncAnnotations(devices).catch(error => console.error('Annotations unavailable:', error)),
+  ]);
+}
+
+function watchDeviceExtras(device) {
+  const { database, ref, onValue } = window.firebase;
+  const watch = (node, apply) => recordListeners.push(onValue(ref(database, `devices/${device}/${node}`), snapshot => {
+    apply(snapshot.val());
+    scheduleRender();
+  }, error => console.error(`Listening to ${node} of ${device} failed:`, error)));
+  watch('meta', meta => { applyDeviceMeta(device, meta); saveDeviceMetaCache(); });
+  watch('lab_samples', data => {
+    labSamples = mergeDeviceRecords(labSamples, device, data).sort((a, b) => b.ts.localeCompare(a.ts));
+    saveLabSamples();
+  });
+  watch('annotations', data => { annotations = mergeDeviceRecords(annotations, device, data); saveAnnotations(); });
+}
+
+async function saveDeviceMeta(device, meta) {
+  deviceMeta[device] = { ...meta, remote: false };
+  if (getDataSource().type === 'firebase') {
+    try {
+      await writeFirebaseJSON(`/devices/${encodeURIComponent(device)}/meta`, 'PUT', meta);
+      deviceMeta[device].remote = true;
+    } catch (error) {
+      console.error('Saving device metadata to Firebase failed, keeping it locally:', error);
+      showToast(t('common.firebaseSaveFailed'));
+    }
+  }
+  saveDeviceMetaCache();
+}
+
+function deviceName(device) { return (deviceMeta[device] && deviceMeta[device].name) || device; }
+function deviceSite(device) { return (deviceMeta[device] && deviceMeta[device].site) || ''; }
+// Installed sensors (parameter keys); every parameter when not configured
+function deviceSensors(device) {
+  const sensors = deviceMeta[device] && deviceMeta[device].sensors;
+  return sensors && sensors.length ? sensors : PARAMS.map(p => p.key);
+}
+// "pond-1 (บ่อ 1)" style label for dropdowns
+function deviceLabel(device) {
+  const name = deviceName(device);
+  return name === device ? device : `${name} (${device})`;
+}
+
+// Name first, then the trailing number: pond-2 before pond-10
+function compareDeviceIds(a, b) {
+  const aMatch = a.match(/^(.+?)-?(\d+)$/) || [null, a, '0'];
+  const bMatch = b.match(/^(.+?)-?(\d+)$/) || [null, b, '0'];
+  const aName = aMatch[1].toLowerCase();
+  const bName = bMatch[1].toLowerCase();
+  if (aName !== bName) return aName.localeCompare(bName);
+  return (parseInt(aMatch[2]) || 0) - (parseInt(bMatch[2]) || 0);
+}
+
+// [[site, [devices]]] sorted by site name; devices without a site come last under ''
+function devicesBySite(devices) {
+  const groups = {};
+  devices.forEach(d => { (groups[deviceSite(d)] = groups[deviceSite(d)] || []).push(d); });
+  return Object.entries(groups)
+    .sort(([a], [b]) => (!a) - (!b) || a.localeCompare(b))
+    .map(([site, list]) => [site, list.sort(compareDeviceIds)]);
+}
+
+function selectedSite() {
+  return ddDevice.value.startsWith(SITE_PREFIX) ? ddDevice.value.slice(SITE_PREFIX.length) : null;
+}
+// The single device selected in the main filter, '' for all devices or a whole site
+function selectedDevice() { return selectedSite() == null ? ddDevice.value : ''; }
+// Devices covered by the main filter, or null for all of them
+function selectedDevices() {
+  const site = selectedSite();
+  if (site == null) return ddDevice.value ? [ddDevice.value] : null;
+  return uniq(knownDevices.concat(cache.map(r => r.device)).filter(d => d && deviceSite(d) === site));
+}
+
+// KPI row for a site: every parameter averaged over the latest value of each device that has the sensor
+function siteLatest(site, rows) {
+  const devices = uniq(rows.map(r => r.device).filter(Boolean));
+  if (!devices.length) return null;
+  const row = {
+    id: null, ts: rows[0].ts, device: t('sites.kpi', { site, n: devices.length }), devices,
+    rssi: null, snr: null, demo: [], flags: [], raw: {},
+  };
+  PARAMS.forEach(p => {
+    const latest = devices.filter(d => deviceSensors(d).includes(p.key))
+      .map(d => rows.find(r => r.device === d && r[p.key] != null)).filter(Boolean);
+    row[p.key] = latest.length ? latest.reduce((sum, r) => sum + r[p.key], 0) / latest.length : null;
+    if (latest.some(r => r.demo.includes(p.key))) row.demo.push(p.key);
+  });
+  scoreRows([row]);
+  return row;
+}
+
+// Row behind the KPI cards: the newest reading, or the site average when a site is selected
+function kpiRow(rows) {
+  const site = selectedSite();
+  return site == null ? rows[0] : siteLatest(site, rows);
+}
+
+/* ---------- Site overview ---------- */
+function mapLink(meta) {
+  return meta && meta.lat != null && meta.lng != null
+    ? ` <a href="https://www.openstreetmap.org/?mlat=${meta.lat}&amp;mlon=${meta.lng}#map=17/${meta.lat}/${meta.lng}" target="_blank" rel="noopener">${t('sites.map')}</a>`
+    : '';
+}
+
+// One card per site: each device's status and latest value of its installed sensors, plus the site average
+function updateSiteOverview() {
+  const grid = document.getElementById('siteOverview');
+  if (!grid) return;
+  const devices = uniq(knownDevices.concat(cache.map(r => r.device)).filter(Boolean));
+  if (!devices.length) {
+    grid.innerHTML = `<div class="card" style="color:var(--muted)">${t('health.noDevices')}</div>`;
+    return;
+  }
+  grid.innerHTML = devicesBySite(devices).map(([site, list]) => {
+    const params = PARAMS.filter(p => list.some(d => deviceSensors(d).includes(p.key)));
+    const latest = d => cache.find(r => r.device === d);
+    const avg = site ? siteLatest(site, cache.filter(r => list.includes(r.device))) : null;
+    const statuses = list.map(d => HEALTH_STATUS[deviceHealth(d).status].dot).join('');
+    return `<div class="card site-card">
+      <div class="health-head"><strong>${escapeHTML(site || t('sites.none'))}</strong><span class="t">${t('sites.devices', { n: list.length })} ${statuses}</span></div>
+      <div class="site-scroll"><table class="site-table">
+        <thead><tr><th>${t('common.device')}</th>${params.map(p => `<th>${p.label.split(' ')[0]}</th>`).join('')}</tr></thead>
+        <tbody>${list.map(d => {
+          const row = latest(d);
+          const h = deviceHealth(d);
+          return `<tr data-device="${escapeHTML(d)}" title="${t('sites.select')}">
+            <td>${HEALTH_STATUS[h.status].dot} ${escapeHTML(deviceName(d))}${mapLink(deviceMeta[d])}
+              <div class="t">${h.lastSeen ? t('common.ago', { d: formatDuration(h.age) }) : HEALTH_STATUS.unknown.label}</div></td>
+            ${params.map(p => (deviceSensors(d).includes(p.key)
+              ? `<td class="${row && outOfRange(row, p.key) ? 'out-of-range' : ''}">${row ? fmtParam(row[p.key], p.digits) : '–'}</td>`
+              : `<td class="t" title="${t('sites.notInstalled')}">–</td>`)).join('')}
+          </tr>`;
+        }).join('')}</tbody>
+        ${avg ? `<tfoot><tr><th>${t('sites.average')}</th>${params.map(p => `<td>${fmtParam(avg[p.key], p.digits)}</td>`).join('')}</tr></tfoot>` : ''}
+      </table></div>
+    </div>`;
+  }).join('');
+}
+
+/* ---------- Metadata form ---------- */
+function fillDeviceMetaForm(device) {
+  const meta = deviceMeta[device] || {};
+  document.getElementById('metaName').value = meta.name || '';
+  document.getElementById('metaSite').value = meta.site || '';
+  document.getElementById('metaLat').value = meta.lat ?? '';
+  document.getElementById('metaLng').value = meta.lng ?? '';
+  document.getElementById('metaInterval').value = meta.interval ?? '';
+  document.querySelectorAll('#metaSensors input').forEach(inp => { inp.checked = (meta.sensors || []).includes(inp.value); });
+}
+
+function setupDevicesPanel() {
+  const modal = document.getElementById('devicesModal');
+  if (!modal) return;
+  const ddMeta = document.getElementById('metaDevice');
+  document.getElementById('metaSensors').innerHTML = PARAMS.map(p => `<label><input type="checkbox" value="${p.key}"> ${p.label}</label>`).join('');
+  document.getElementById('devicesBtn').addEventListener('click', () => {
+    const devices = uniq(knownDevices.concat(cache.map(r => r.device), Object.keys(deviceMeta)).filter(Boolean)).sort(compareDeviceIds);
+    ddMeta.innerHTML = devices.map(x => `<option value="${escapeHTML(x)}">${escapeHTML(deviceLabel(x))}</option>`).join('');
+    ddMeta.value = selectedDevice() || devices[0] || '';
+    document.getElementById('metaSiteList').innerHTML = uniq(Object.values(deviceMeta).map(m => m.site).filter(Boolean))
+      .map(s => `<option value="${escapeHTML(s)}"></option>`).join('');
+    fillDeviceMetaForm(ddMeta.value);
+    modal.style.display = 'flex';
+  });
+  ddMeta.addEventListener('change', () => fillDeviceMetaForm(ddMeta.value));
+  document.getElementById('devicesCancel').addEventListener('click', () => { modal.style.display = 'none'; });
+  modal.addEventListener('click', e => { if (e.target === modal) modal.style.display = 'none'; });
+  document.getElementById('devicesSave').addEventListener('click', async () => {
+    const device = ddMeta.value;
+    if (!device) { showToast(t('common.selectDevice')); return; }
+    const latEl = document.getElementById('metaLat'), lngEl = document.getElementById('metaLng');
+    const intervalEl = document.getElementById('metaInterval');
+    const lat = latEl.value === '' ? null : toNum(latEl.value);
+    const lng = lngEl.value === '' ? null : toNum(lngEl.value);
+    const interval = intervalEl.value === '' ? null : toNum(intervalEl.value);
+    [latEl, lngEl, intervalEl].forEach(el => el.classList.remove('invalid'));
+    if ((lat == null) !== (lng == null) || (lat != null && Math.abs(lat) > 90) || (lng != null && Math.abs(lng) > 180)) {
+      [latEl, lngEl].forEach(el => el.classList.add('invalid'));
+      showToast(t('devices.invalidCoords'));
+      return;
+    }
+    if (interval != null && !(interval > 0)) { intervalEl.classList.add('invalid'); showToast(t('devices.invalidInterval')); return; }
+    await saveDeviceMeta(device, {
+      name: document.getElementById('metaName').value.trim(),
+      site: document.getElementById('metaSite').value.trim(),
+      lat, lng, interval,
+      sensors: [...document.querySelectorAll('#metaSensors input:checked')].map(inp => inp.value),
+      updatedAt: Date.now(),
+    });
+    showToast(t('devices.saved', { device: deviceName(device) }));
+    buildDeviceOptions();
+    render();
+  });
+  document.getElementById('siteOverview')?.addEventListener('click', e => {
+    const tr = e.target.closest('tr[data-device]');
+    if (!tr || e.target.closest('a')) return;
+    ddDevice.value = tr.dataset.device;
+    refresh();
+  });
+}
+
+/* ================== Remote Config & Commands ================== */
+// Written through the Firebase SDK (window.firebase, so it follows the emulator setting under "Source"):
+//   /devices/<id>/config/desired   – settings the dashboard wants, with updated_at
+//   /devices/<id>/config/reported  – what the device last applied (written by the firmware), with updated_at
+//   /devices/<id>/commands/<push>  – one-shot commands { type, params, status, created_at, updated_at, result }
+// The firmware moves a command from 'pending' to 'acked' and then 'done' or 'failed'. Against the emulator
+// a device can be simulated by editing config/reported and commands/<push>/status in the Emulator UI.
+const DEVICE_CONFIG_FIELDS = [
+  { key: 'sample_interval_s', type: 'number', min: 5, max: 86400 },
+  { key: 'upload_interval_s', type: 'number', min: 5, max: 86400 },
+  { key: 'wifi_report', type: 'bool' },
+  { key: 'ph_offset', type: 'number', min: -2, max: 2 },
+  { key: 'ec_k', type: 'number', min: 0.01, max: 10 },
+  { key: 'tds_factor', type: 'number', min: 0.4, max: 1 },
+];
+const COMMAND_TYPES = {
+  reboot: { label: t('config.cmd.reboot') },
+  read_now: { label: t('config.cmd.readNow') },
+  calibrate: { label: t('config.cmd.calibrate') },
+};
+const COMMAND_STATUS = {
+  pending: { dot: '⏳', label: t('config.status.pending') },
+  acked: { dot: '📨', label: t('config.status.acked') },
+  done: { dot: '✅', label: t('config.status.done') },
+  failed: { dot: '❌', label: t('config.status.failed') },
+  cancelled: { dot: '⛔', label: t('config.status.cancelled') },
+  expired: { dot: '⌛', label: t('config.status.expired') },
+};
+// A command still pending after this long is shown as expired (the device never picked it up)
+const COMMAND_TIMEOUT_MS = 10 * 60000;
+const COMMAND_HISTORY = 20;
+const CALIBRATE_PARAMS = ['ph', 'ec', 'do', 'orp'];
+
+// Live view of the device open in the settings panel
+let deviceConfig = { device: null, desired: null, reported: null, commands: [], unsubscribe: [] };
+
+function watchDeviceConfig(device) {
+  unwatchDeviceConfig();
+  const { database, ref, onValue, query, limitToLast } = window.firebase;
+  const seen = {};
+  // desired: undefined until the first snapshot, which always rebuilds the form
+  deviceConfig = { device, desired: undefined, reported: null, commands: [], unsubscribe: [] };
+  deviceConfig.unsubscribe.push(onValue(ref(database, `devices/${device}/config`), snapshot => {
+    const config = snapshot.val() || {};
+    const rebuild = JSON.stringify(config.desired || null) !== JSON.stringify(deviceConfig.desired);
+    deviceConfig.desired = config.desired || null;
+    deviceConfig.reported = config.reported || null;
+    renderDeviceConfig(rebuild);
+  }, error => console.error('Device config listener error:', error)));
+  deviceConfig.unsubscribe.push(onValue(query(ref(database, `devices/${device}/commands`), limitToLast(COMMAND_HISTORY)), snapshot => {
+    const commands = Object.entries(snapshot.val() || {}).map(([id, c]) => ({ id, ...c }))
+      .sort((a, b) => (b.created_at || 0) - (a.created_at || 0));
+    // Toast when a command we already knew about finishes
+    commands.forEach(c => {
+      if (seen[c.id] && seen[c.id] !== c.status && (c.status === 'done' || c.status === 'failed')) {
+        showToast(t('config.finished', { device, command: COMMAND_TYPES[c.type]?.label || c.type, status: COMMAND_STATUS[c.status].label }));
+      }
+      seen[c.id] = c.status;
+    });
+    deviceConfig.commands = commands;
+    renderCommandLog();
+  }, error => console.error('Device commands listener error:', error)));
+}
+
+function unwatchDeviceConfig() {
+  deviceConfig.unsubscribe.forEach(unsubscribe => unsubscribe());
+  deviceConfig.unsubscribe = [];
+}
+
+function commandStatus(c) {
+  if (c.status === 'pending' && c.created_at && Date.now() - c.created_at > COMMAND_TIMEOUT_MS) return 'expired';
+  return COMMAND_STATUS[c.status] ? c.status : 'pending';
+}
+
+function configValueHTML(field, value) {
+  if (value == null) return '–';
+  if (field.type === 'bool') return value ? t('config.on') : t('config.off');
+  return escapeHTML(String(value));
+}
+
+// Desired (editable) next to reported, with whether the device has applied each setting.
+// The inputs are only rebuilt when the desired node changed, so a report doesn't wipe unsaved edits.
+function renderDeviceConfig(rebuild = true) {
+  const tbody = document.getElementById('configRows');
+  if (!tbody) return;
+  const desired = deviceConfig.desired || {};
+  const reported = deviceConfig.reported || {};
+  if (rebuild || !tbody.children.length) {
+    tbody.innerHTML = DEVICE_CONFIG_FIELDS.map(f => `<tr data-key="${f.key}">
+      <td>${t(`config.field.${f.key}`)}</td>
+      <td>${f.type === 'bool'
+        ? `<input type="checkbox" data-key="${f.key}" ${desired[f.key] ? 'checked' : ''} ${can('config') ? '' : 'disabled'}>`
+        : `<input type="number" step="any" data-key="${f.key}" min="${f.min}" max="${f.max}" value="${desired[f.key] ?? ''}" ${can('config') ? '' : 'disabled'}>`}</td>
+      <td class="reported"></td>
+      <td class="state"></td>
+    </tr>`).join('');
+  }
+  DEVICE_CONFIG_FIELDS.forEach(f => {
+    const tr = tbody.querySelector(`tr[data-key="${f.key}"]`);
+    const applied = reported[f.key] === desired[f.key];
+    tr.querySelector('.reported').innerHTML = configValueHTML(f, reported[f.key]);
+    tr.querySelector('.state').textContent = desired[f.key] == null ? '' : (applied ? '✅' : '⏳');
+    tr.querySelector('.state').title = desired[f.key] == null ? '' : t(applied ? 'config.inSync' : 'config.notApplied');
+  });
+  const note = document.getElementById('configNote');
+  note.textContent = [
+    deviceConfig.desired && deviceConfig.desired.updated_at ? t('config.desiredAt', { time: fmtTime(new Date(deviceConfig.desired.updated_at)) }) : t('config.noDesired'),
+    deviceConfig.reported && deviceConfig.reported.updated_at ? t('config.reportedAt', { time: fmtTime(new Date(deviceConfig.reported.updated_at)) }) : t('config.noReported'),
+  ].join(' · ');
+}
+
+function renderCommandLog() {
+  const list = document.getElementById('commandLog');
+  if (!list) return;
+  list.innerHTML = deviceConfig.commands.length ? deviceConfig.commands.map(c => {
+    const status = commandStatus(c);
+    const st = COMMAND_STATUS[status];
+    const params = c.params ? Object.entries(c.params).map(([k, v]) => `${k}=${v}`).join(', ') : '';
+    return `<li class="${status === 'failed' ? 'active' : ''}" data-id="${escapeHTML(c.id)}">
+      <span>${st.dot} ${escapeHTML(COMMAND_TYPES[c.type]?.label || c.type)}${params ? ` (${escapeHTML(params)})` : ''} · ${st.label}
+        ${status === 'pending' ? `<button class="chip" type="button" data-act="cancel">${t('common.cancel')}</button>` : ''}</span>
+      <span class="t">${c.created_at ? fmtTime(new Date(c.created_at)) : '–'}${c.updated_at ? ` → ${fmtTime(new Date(c.updated_at))}` : ''}${c.result ? ` · ${escapeHTML(String(c.result))}` : ''}</span>
+    </li>`;
+  }).join('') : `<li class="t">${t('config.noCommands')}</li>`;
+}
+
+// Desired config from the form; null (with the bad inputs marked) when a value is out of range
+function readConfigForm() {
+  const desired = {};
+  let valid = true;
+  DEVICE_CONFIG_FIELDS.forEach(f => {
+    const el = document.querySelector(`#configRows input[data-key="${f.key}"]`);
+    el.classList.remove('invalid');
+    if (f.type === 'bool') { desired[f.key] = el.checked; return; }
+    if (el.value === '') return;
+    const v = toNum(el.value);
+    if (v == null || v < f.min || v > f.max) { el.classList.add('invalid'); valid = false; return; }
+    desired[f.key] = v;
+  });
+  return valid ? desired : null;
+}
+
+async function sendCommand(device, type, params = null) {
+  const { database, ref, push, serverTimestamp } = window.firebase;
+  try {
+    await push(ref(database, `devices/${device}/commands`), { type, params, status: 'pending', created_at: serverTimestamp() });
+    showToast(t('config.sent', { device, command: COMMAND_TYPES[type].label }));
+  } catch (error) {
+    console.error('Sending command failed:', error);
+    showToast(t('config.failed'));
+  }
+}
+
+function setupDeviceConfigPanel() {
+  const modal = document.getElementById('configModal');
+  if (!modal) return;
+  const ddConfig = document.getElementById('configDevice');
+  const close = () => { modal.style.display = 'none'; unwatchDeviceConfig(); };
+  document.getElementById('cmdCalParam').innerHTML = CALIBRATE_PARAMS.map(k => `<option value="${k}">${paramLabel(k)}</option>`).join('');
+  document.getElementById('configBtn').addEventListener('click', () => {
+    if (!window.firebase) { showToast(t('config.needsFirebase')); return; }
+    const devices = uniq(knownDevices.concat(cache.map(r => r.device)).filter(Boolean)).sort(compareDeviceIds);
+    if (!devices.length) { showToast(t('health.noDevices')); return; }
+    ddConfig.innerHTML = devices.map(x => `<option value="${escapeHTML(x)}">${escapeHTML(deviceLabel(x))}</option>`).join('');
+    ddConfig.value = selectedDevice() || devices[0];
+    watchDeviceConfig(ddConfig.value);
+    renderDeviceConfig();
+    renderCommandLog();
+    modal.style.display = 'flex';
+  });
+  ddConfig.addEventListener('change', () => watchDeviceConfig(ddConfig.value));
+  document.getElementById('configCancel').addEventListener('click', close);
+  modal.addEventListener('click', e => { if (e.target === modal) close(); });
+  document.getElementById('configSave').addEventListener('click', async () => {
+    const desired = readConfigForm();
+    if (!desired) { showToast(t('config.invalid')); return; }
+    const { database, ref, set, serverTimestamp } = window.firebase;
+    try {
+      await set(ref(database, `devices/${ddConfig.value}/config/desired`), { ...desired, updated_at: serverTimestamp() });
+      showToast(t('config.saved', { device: ddConfig.value }));
+    } catch (error) {
+      console.error('Saving desired config failed:', error);
+      showToast(t('config.failed'));
+    }
+  });
+  document.getElementById('cmdReboot').addEventListener('click', () => {
+    if (confirm(t('config.confirmReboot', { device: ddConfig.value }))) sendCommand(ddConfig.value, 'reboot');
+  });
+  document.getElementById('cmdReadNow').addEventListener('click', () => sendCommand(ddConfig.value, 'read_now'));
+  document.getElementById('cmdCalibrate').addEventListener('click', () => {
+    const valueEl = document.getElementById('cmdCalValue');
+    const reference = valueEl.value === '' ? null : toNum(valueEl.value);
+    valueEl.classList.toggle('invalid', reference == null);
+    if (reference == null) { showToast(t('config.referenceRequired')); return; }
+    sendCommand(ddConfig.value, 'calibrate', { param: document.getElementById('cmdCalParam').value, reference });
+  });
+  document.getElementById('commandLog').addEventListener('click', async e => {
+    const btn = e.target.closest('button[data-act="cancel"]');
+    if (!btn) return;
+    const { database, ref, update, serverTimestamp } = window.firebase;
+    const id = btn.closest('li').dataset.id;
+    try {
+      await update(ref(database, `devices/${ddConfig.value}/commands/${id}`), { status: 'cancelled', updated_at: serverTimestamp() });
+    } catch (error) {
+      console.error('Cancelling command failed:', error);
+      showToast(t('config.failed'));
+    }
+  });
+}
+
+/* ================== Forecast ================== */
+// Short-term projection of EC/TDS per device from its readings in cache. The series is resampled to a
+// regular step: hourly with an additive Holt-Winters model (daily season) once there are two days of
+// history, otherwise Holt's linear trend on the reporting interval. Smoothing factors come from a
+// small grid search on the one-step-ahead error; the band is ±1.96σ of that error, widening with √h.
+const FORECAST_PARAMS = ['ec', 'tds'];
+const FORECAST_MAX_HOURS = 24;
+const FORECAST_HISTORY_MS = 7 * 86400000;
+const FORECAST_MIN_POINTS = 12;
+const FORECAST_SEASON = 24; // hourly steps per day
+// Horizon of the chart projection and KPI notes; 0 = off
+let forecastHours = 12;
+const forecastCache = new Map();
+
+// Points {x, y} (oldest first) → one value per step; empty steps are interpolated linearly
+function resampleSeries(points, step) {
+  const buckets = new Map();
+  points.forEach(p => {
+    const b = Math.floor(p.x / step) * step;
+    const acc = buckets.get(b) || { sum: 0, n: 0 };
+    acc.sum += p.y; acc.n++;
+    buckets.set(b, acc);
+  });
+  const keys = [...buckets.keys()].sort((a, b) => a - b);
+  const out = [];
+  keys.forEach((x, i) => {
+    const y = buckets.get(x).sum / buckets.get(x).n;
+    if (i) {
+      const prev = out[out.length - 1];
+      for (let gx = prev.x + step; gx < x; gx += step) out.push({ x: gx, y: prev.y + (y - prev.y) * (gx - prev.x) / (x - prev.x) });
+    }
+    out.push({ x, y });
+  });
+  return out;
+}
+
+// Holt's linear trend. Returns { sse, level, trend } after the last value
+function fitHolt(ys, alpha, beta) {
+  let level = ys[0], trend = ys[1] - ys[0], sse = 0;
+  for (let i = 1; i < ys.length; i++) {
+    const err = ys[i] - (level + trend);
+    sse += err * err;
+    const prev = level;
+    level = alpha * ys[i] + (1 - alpha) * (level + trend);
+    trend = beta * (level - prev) + (1 - beta) * trend;
+  }
+  return { sse, n: ys.length - 1, forecast: h => level + h * trend };
+}
+
+// Additive Holt-Winters with season length m, initialised from the first two seasons
+function fitHoltWinters(ys, m, alpha, beta, gamma) {
+  const mean = list => list.reduce((a, b) => a + b, 0) / list.length;
+  let level = mean(ys.slice(0, m));
+  let trend = (mean(ys.slice(m, 2 * m)) - level) / m;
+  const season = ys.slice(0, m).map(y => y - level);
+  let sse = 0;
+  for (let i = m; i < ys.length; i++) {
+    const s = season[i - m];
+    const err = ys[i] - (level + trend + s);
+    sse += err * err;
+    const prev = level;
+    level = alpha * (ys[i] - s) + (1 - alpha) * (level + trend);
+    trend = beta * (level - prev) + (1 - beta) * trend;
+    season.push(gamma * (ys[i] - level) + (1 - gamma) * s);
+  }
+  const n = ys.length;
+  return { sse, n: n - m, forecast: h => level + h * trend + season[n - m + ((h - 1) % m)] };
+}
+
+// Lowest one-step error over a coarse grid of smoothing factors
+function bestFit(ys, seasonal) {
+  const grid = [0.1, 0.3, 0.5, 0.7, 0.9];
+  const trends = [0.01, 0.05, 0.1, 0.3];
+  let best = null;
+  grid.forEach(alpha => trends.forEach(beta => (seasonal ? [0.05, 0.1, 0.3] : [null]).forEach(gamma => {
+    const fit = seasonal ? fitHoltWinters(ys, FORECAST_SEASON, alpha, beta, gamma) : fitHolt(ys, alpha, beta);
+    if (!best || fit.sse < best.sse) best = fit;
+  })));
+  return best;
+}
+
+// { device, key, model, points: [{ x, y, lo, hi }] } covering FORECAST_MAX_HOURS after the last reading,
+// starting at that reading; null when the device has too little data
+function deviceForecast(device, key) {
+  // Spikes and clamped values are left out; flatline/ratio flags don't make the value itself wrong
+  const rows = cache.filter(r => r.device === device && r.ts && r[key] != null
+    && !r.flags.some(f => f.key === key && (f.type === 'spike' || f.type === 'clamp')));
+  if (rows.length < FORECAST_MIN_POINTS) return null;
+  const last = rows.reduce((a, r) => (r.ts > a.ts ? r : a));
+  const id = `${device}|${key}|${last.ts.getTime()}|${rows.length}`;
+  if (forecastCache.has(id)) return forecastCache.get(id);
+  const from = last.ts.getTime() - FORECAST_HISTORY_MS;
+  const raw = rows.filter(r => r.ts.getTime() >= from).map(r => ({ x: r.ts.getTime(), y: r[key] })).sort((a, b) => a.x - b.x);
+  const steps = raw.slice(1).map((p, i) => p.x - raw[i].x).filter(d => d > 0);
+  // Hourly Holt-Winters needs two seasons (+2) of hourly points; short of that, plain Holt at the reading interval
+  let seasonal = raw[raw.length - 1].x - raw[0].x >= 2 * 86400000;
+  let step = 3600000;
+  let series = seasonal ? resampleSeries(raw, step) : [];
+  if (series.length < 2 * FORECAST_SEASON + 2) {
+    seasonal = false;
+    step = Math.max(median(steps) || 0, 5 * 60000);
+    series = resampleSeries(raw, step);
+  }
+  let result = null;
+  if (series.length >= FORECAST_MIN_POINTS) {
+    const fit = bestFit(series.map(p => p.y), seasonal);
+    const sigma = Math.sqrt(fit.sse / Math.max(1, fit.n));
+    const lastPoint = { x: last.ts.getTime(), y: last[key] };
+    const points = [{ ...lastPoint, lo: lastPoint.y, hi: lastPoint.y }];
+    const base = series[series.length - 1].x;
+    for (let h = 1; base + h * step <= lastPoint.x + FORECAST_MAX_HOURS * 3600000; h++) {
+      const y = fit.forecast(h);
+      const spread = 1.96 * sigma * Math.sqrt(h);
+      if (base + h * step > lastPoint.x) points.push({ x: base + h * step, y, lo: y - spread, hi: y + spread });
+    }
+    result = { device, key, model: seasonal ? 'holt-winters' : 'holt', points };
+  }
+  if (forecastCache.size > 100) forecastCache.clear();
+  forecastCache.set(id, result);
+  return result;
+}
+
+// The forecast cut to the selected horizon
+function forecastPoints(fc) {
+  const end = fc.points[0].x + forecastHours * 3600000;
+  return fc.points.filter(p => p.x <= end);
+}
+
+// First crossing of the device's min/max rule within the horizon: { kind, limit, at } (epoch ms)
+// Nothing when the latest value is already outside the limits (the alarm covers that)
+function forecastCrossing(fc) {
+  const rule = getRule(fc.device, fc.key);
+  if (!rule) return null;
+  const points = forecastPoints(fc);
+  const outside = y => (rule.max != null && y > rule.max ? 'max' : (rule.min != null && y < rule.min ? 'min' : null));
+  if (outside(points[0].y)) return null;
+  for (let i = 1; i < points.length; i++) {
+    const kind = outside(points[i].y);
+    if (!kind) continue;
+    const limit = rule[kind], a = points[i - 1], b = points[i];
+    return { kind, limit, at: a.x + (b.x - a.x) * (limit - a.y) / (b.y - a.y) };
+  }
+  return null;
+}
+
+// Dashed projection (plus its confidence band) for the chart
+function forecastDatasets(fc, key, label, color, hiddenId) {
+  const hidden = chartHidden.has(hiddenId);
+  const points = forecastPoints(fc).map(p => ({
+    x: p.x, y: Math.round(p.y * 100) / 100, device: fc.device,
+    hint: `${t('forecast.label')} ±${fmtNumber(Math.round((p.hi - p.y) * 100) / 100)}`,
+  }));
+  const band = (field) => ({
+    label: `${label} ${field}`, key, band: true, forecast: true, hidden, borderWidth: 0, pointRadius: 0, tension: .25,
+    data: forecastPoints(fc).map(p => ({ x: p.x, y: p[field] })),
+  });
+  return [
+    { ...band('lo'), fill: false },
+    { ...band('hi'), fill: '-1', backgroundColor: color + '1a' },
+    { label, key, forecast: true, hidden, data: points, borderColor: color, backgroundColor: color, borderDash: [6, 4], borderWidth: 2, pointRadius: 0, tension: .25 },
+  ];
+}
+
+// Note under each forecast KPI card: when the reading is expected to cross its limit, otherwise the
+// projected value at the end of the horizon. A site shows the earliest crossing among its devices.
+function updateForecastNotes(latest) {
+  FORECAST_PARAMS.forEach(key => {
+    const card = KPI_ELS[key].closest('.kpi');
+    let note = card.querySelector('.forecast');
+    if (!note) {
+      note = document.createElement('div');
+      note.className = 'forecast';
+      card.appendChild(note);
+    }
+    note.textContent = '';
+    note.classList.remove('warn');
+    if (!latest || !forecastHours) return;
+    const p = PARAMS.find(x => x.key === key);
+    const name = p.label.split(' ')[0];
+    const unit = (p.label.match(/\((.+)\)/) || [])[1] || '';
+    const devices = latest.devices || [latest.device];
+    const forecasts = devices.map(d => deviceForecast(d, key)).filter(Boolean);
+    const crossings = forecasts.map(fc => ({ fc, crossing: forecastCrossing(fc) })).filter(c => c.crossing)
+      .sort((a, b) => a.crossing.at - b.crossing.at);
+    const prefix = d => (latest.devices ? `${deviceName(d)}: ` : '');
+    if (crossings.length) {
+      const { fc, crossing } = crossings[0];
+      note.textContent = prefix(fc.device) + t(crossing.kind === 'max' ? 'forecast.exceed' : 'forecast.below', {
+        param: name, limit: fmtParam(crossing.limit, p.digits), unit, d: formatDuration(Math.max(0, crossing.at - Date.now())),
+      });
+      note.classList.add('warn');
+    } else if (forecasts.length === 1) {
+      const end = forecastPoints(forecasts[0]).pop();
+      note.textContent = t('forecast.expected', {
+        h: forecastHours, value: fmtParam(end.y, p.digits), pm: fmtParam(end.hi - end.y, p.digits), unit,
+      });
+    }
+  });
+}
+
+/* ================== Anomaly / Sensor-fault Detection ================== */
+// Runs over cache (per device, oldest → newest) and sets row.flags = [{ key, type }]:
+//   flatline – the same value for ANOMALY.flatlineN or more consecutive readings
+//   spike    – far from the median of its neighbours (robust z-score over a sliding window)
+//   clamp    – received outside the range validateWaterParam enforces (sensor saturated or disconnected)
+//   ratio    – TDS/EC outside the physically plausible range (flags both)
+const ANOMALY = { flatlineN: 6, spikeWindow: 3, spikeZ: 6, ratioMin: 0.4, ratioMax: 0.9, ratioMinEC: 50 };
+const ANOMALY_LABELS = { flatline: t('anomaly.flatline'), spike: t('anomaly.spike'), clamp: t('anomaly.clamp'), ratio: t('anomaly.ratio') };
+// Leave flagged points out of updateSummary statistics
+let summaryExcludeFlagged = false;
+
+// [min, max] as enforced by a parameter's validator (probe far outside the range)
+const paramLimitsCache = {};
+function paramLimits(p) {
+  return paramLimitsCache[p.key] = paramLimitsCache[p.key] || [p.validate(-1e12), p.validate(1e12)];
+}
+
+function addFlag(row, key, type) {
+  if (!row.flags.some(f => f.key === key && f.type === type)) row.flags.push({ key, type });
+}
+function hasFlag(row, key) { return !!(row.flags && row.flags.some(f => f.key === key)); }
+
+function detectAnomalies(rows = cache) {
+  const byDevice = {};
+  rows.forEach(r => { r.flags = []; if (r.device && r.ts) (byDevice[r.device] = byDevice[r.device] || []).push(r); });
+  Object.values(byDevice).forEach(list => {
+    list.sort((a, b) => a.ts - b.ts);
+    PARAMS.forEach(p => {
+      const series = list.filter(r => r[p.key] != null && !r.demo.includes(p.key));
+      // clamp (decided in toCacheRow from the value as received; a genuine 0 NTU is not clamped)
+      series.forEach(r => { if (r.clamped.includes(p.key)) addFlag(r, p.key, 'clamp'); });
+      // flatline: runs of identical values
+      let start = 0;
+      for (let i = 1; i <= series.length; i++) {
+        if (i < series.length && series[i].raw[p.key] === series[start].raw[p.key]) continue;
+        if (i - start >= ANOMALY.flatlineN) series.slice(start, i).forEach(r => addFlag(r, p.key, 'flatline'));
+        start = i;
+      }
+      // spike: robust z-score against neighbours on both sides
+      const k = ANOMALY.spikeWindow;
+      series.forEach((r, i) => {
+        const around = series.slice(Math.max(0, i - k), i).concat(series.slice(i + 1, i + 1 + k)).map(n => n[p.key]);
+        if (around.length < k) return;
+        const m = median(around);
+        const mad = median(around.map(v => Math.abs(v - m)));
+        const scale = Math.max(1.4826 * mad, Math.abs(m) * 0.02, 1e-6);
+        if (Math.abs(r[p.key] - m) / scale > ANOMALY.spikeZ) addFlag(r, p.key, 'spike');
+      });
+    });
+    // TDS/EC ratio
+    list.forEach(r => {
+      if (r.ec == null || r.tds == null || r.ec < ANOMALY.ratioMinEC || r.derived.includes('tds')) return;
+      const ratio = r.tds / r.ec;
+      if (ratio < ANOMALY.ratioMin || ratio > ANOMALY.ratioMax) { addFlag(r, 'ec', 'ratio'); addFlag(r, 'tds', 'ratio'); }
+    });
+  });
+}
+
+function describeFlags(row) {
+  return (row.flags || []).map(f => `${f.type === 'ratio' ? '' : paramLabel(f.key).split(' ')[0] + ' '}${ANOMALY_LABELS[f.type]}`)
+    .filter((t, i, a) => a.indexOf(t) === i).join(', ');
+}
+
+// Per-device data-quality score: share of readings with no flag, plus counts per fault type
+function dataQuality(device) {
+  const rows = cache.filter(r => r.device === device);
+  if (!rows.length) return null;
+  const counts = {};
+  rows.forEach(r => uniq((r.flags || []).map(f => f.type)).forEach(t => { counts[t] = (counts[t] || 0) + 1; }));
+  const flagged = rows.filter(r => r.flags && r.flags.length).length;
+  return { score: Math.round((1 - flagged / rows.length) * 100), flagged, total: rows.length, counts };
+}
+
+/* ================== Water-quality Index ================== */
+// 0–100 suitability score per reading for a use case. A parameter scores 100 inside its target
+// range [lo, hi] and falls linearly to 0 at the tolerance limits [min, max]; the index is the
+// weighted mean over the parameters the reading has. Values flagged by detectAnomalies are left out.
+const WQI_STORAGE_KEY = 'water-quality-wqi-profile';
+const WQI_PROFILES = {
+  aquaculture: {
+    label: t('wqi.aquaculture'),
+    ranges: {
+      do: { lo: 5, hi: 12, min: 2, max: 16, w: 3 },
+      ph: { lo: 6.5, hi: 8.5, min: 5, max: 10, w: 2 },
+      temp: { lo: 25, hi: 32, min: 15, max: 38, w: 2 },
+      turbidity: { lo: 0, hi: 30, min: 0, max: 100, w: 1 },
+      ec: { lo: 30, hi: 1500, min: 0, max: 5000, w: 1 },
+      tds: { lo: 20, hi: 1000, min: 0, max: 3000, w: 1 },
+      orp: { lo: 150, hi: 450, min: 0, max: 700, w: 1 },
+    },
+  },
+  hydroponics: {
+    label: t('wqi.hydroponics'),
+    ranges: {
+      ec: { lo: 1200, hi: 2500, min: 400, max: 4000, w: 3 },
+      ph: { lo: 5.5, hi: 6.5, min: 4.5, max: 7.5, w: 3 },
+      tds: { lo: 600, hi: 1250, min: 200, max: 2000, w: 1 },
+      temp: { lo: 18, hi: 24, min: 10, max: 32, w: 2 },
+      do: { lo: 6, hi: 20, min: 3, max: 20, w: 1 },
+    },
+  },
+  drinking: {
+    label: t('wqi.drinking'),
+    ranges: {
+      turbidity: { lo: 0, hi: 1, min: 0, max: 5, w: 3 },
+      ph: { lo: 6.5, hi: 8.5, min: 5.5, max: 9.5, w: 2 },
+      tds: { lo: 0, hi: 500, min: 0, max: 1200, w: 2 },
+      ec: { lo: 0, hi: 800, min: 0, max: 2000, w: 1 },
+    },
+  },
+};
+// Treated like a parameter by the chart (series key 'wqi' on the right-hand 0–100 axis)
+const WQI_SERIES = { key: 'wqi', label: 'WQI', digits: 0 };
+const WQI_GRADES = [
+  { min: 80, label: t('wqi.good'), cls: 'good' },
+  { min: 60, label: t('wqi.fair'), cls: 'fair' },
+  { min: 40, label: t('wqi.poor'), cls: 'poor' },
+  { min: 0, label: t('wqi.bad'), cls: 'bad' },
+];
+
+let wqiProfile = (() => {
+  try {
+    const saved = localStorage.getItem(WQI_STORAGE_KEY);
+    if (WQI_PROFILES[saved]) return saved;
+  } catch { }
+  return 'aquaculture';
+})();
+
+function rangeScore(v, r) {
+  if (v >= r.lo && v <= r.hi) return 100;
+  const edge = v < r.lo ? r.min : r.max;
+  const bound = v < r.lo ? r.lo : r.hi;
+  if (edge === bound) return 0;
+  return Math.max(0, Math.min(100, 100 * (edge - v) / (edge - bound)));
+}
+
+// { score, parts: [{ key, value, score, w, loss }] } with parts sorted by how many points they cost,
+// or null when the reading has none of the profile's parameters
+function waterQualityIndex(row, profile = WQI_PROFILES[wqiProfile]) {
+  const parts = Object.entries(profile.ranges)
+    .filter(([key]) => row[key] != null && !hasFlag(row, key))
+    .map(([key, r]) => ({ key, value: row[key], score: rangeScore(row[key], r), w: r.w }));
+  if (!parts.length) return null;
+  const total = parts.reduce((a, p) => a + p.w, 0);
+  parts.forEach(p => { p.loss = (100 - p.score) * p.w / total; });
+  parts.sort((a, b) => b.loss - a.loss);
+  return { score: Math.round(parts.reduce((a, p) => a + p.score * p.w, 0) / total), parts, missing: Object.keys(profile.ranges).length - parts.length };
+}
+
+// Sets row.wqi (number or null) and row.wqiDetail; run after detectAnomalies
+function scoreRows(rows = cache) {
+  rows.forEach(r => {
+    r.wqiDetail = waterQualityIndex(r);
+    r.wqi = r.wqiDetail ? r.wqiDetail.score : null;
+  });
+}
+
+function wqiGrade(score) { return WQI_GRADES.find(g => score >= g.min); }
+
+function updateWqiCard(latest) {
+  const el = document.getElementById('wqi');
+  if (!el) return;
+  const card = el.closest('.kpi');
+  const gradeEl = document.getElementById('wqiGrade');
+  const list = document.getElementById('wqiBreakdown');
+  WQI_GRADES.forEach(g => card.classList.remove(`wqi-${g.cls}`));
+  const detail = latest && latest.wqiDetail;
+  if (!detail) {
+    el.textContent = latest ? NO_DATA : '–';
+    el.classList.toggle('nodata', !!latest);
+    gradeEl.textContent = WQI_PROFILES[wqiProfile].label;
+    list.innerHTML = '';
+    return;
+  }
+  const grade = wqiGrade(detail.score);
+  card.classList.add(`wqi-${grade.cls}`);
+  el.classList.remove('nodata');
+  el.textContent = detail.score;
+  const worst = detail.parts[0];
+  gradeEl.textContent = `${grade.label} · ${WQI_PROFILES[wqiProfile].label}`
+    + (worst.loss >= 1 ? t('wqi.worst', { param: paramLabel(worst.key) }) : '')
+    + (detail.missing ? t('wqi.partial', { used: detail.parts.length, total: detail.parts.length + detail.missing }) : '');
+  const range = key => WQI_PROFILES[wqiProfile].ranges[key];
+  list.innerHTML = detail.parts.map(p => {
+    const param = PARAMS.find(x => x.key === p.key);
+    const r = range(p.key);
+    return `<li class="${p.score < 100 ? 'low' : ''}" title="${t('wqi.range', r)}">`
+      + `${param.label.split(' ')[0]} ${fmtParam(p.value, param.digits)} → ${Math.round(p.score)}${p.loss >= 0.5 ? ` (−${Math.round(p.loss)})` : ''}</li>`;
+  }).join('');
+}
+
+function setupWqiControls() {
+  const dd = document.getElementById('wqiProfile');
+  if (!dd) return;
+  dd.innerHTML = Object.entries(WQI_PROFILES).map(([k, p]) => `<option value="${k}">${p.label}</option>`).join('');
+  dd.value = wqiProfile;
+  dd.addEventListener('change', () => {
+    wqiProfile = dd.value;
+    try { localStorage.setItem(WQI_STORAGE_KEY, wqiProfile); } catch { }
+    render();
+    showToast(`WQI: ${WQI_PROFILES[wqiProfile].label}`);
+  });
+}
+
+/* ================== Export ================== */
+// Formats offered in the export modal. Every format fetches the full requested range from Firebase
+// (not the possibly truncated cache) and includes only the ticked parameters.
+const EXPORT_FORMATS = {
+  csv: { label: 'CSV', ext: 'csv' },
+  json: { label: 'JSON', ext: 'json' },
+  xlsx: { label: 'XLSX', ext: 'xlsx' },
+  report: { label: 'Report (PDF/HTML)', ext: 'html' },
+};
+const XLSX_CDN = 'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js';
+
+// Inject a <script> once and resolve when it has loaded (for libraries only some features need)
+const loadedScripts = {};
+function loadScript(src) {
+  loadedScripts[src] = loadedScripts[src] || new Promise((resolve, reject) => {
+    const el = document.createElement('script');
+    el.src = src;
+    el.onload = resolve;
+    el.onerror = () => { delete loadedScripts[src]; reject(new Error(`Failed to load ${src}`)); };
+    document.head.appendChild(el);
+  });
+  return loadedScripts[src];
+}
+
+function downloadBlob(blob, filename) {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+function exportFileName({ device, startISO, endISO }, ext) {
+  const dev = device || 'all';
+  const sn = startISO ? dayjs(startISO).format('YYYY-MM-DD_HH-mm') : (startDateFilter.value || 'start');
+  const en = endISO ? dayjs(endISO).format('YYYY-MM-DD_HH-mm') : (endDateFilter.value || 'end');
+  return `water-quality-${dev}-${sn}_to_${en}${isDemoMode() ? '-DEMO' : ''}.${ext}`;
+}
+
+function filterByTime(rows, startISO, endISO) {
+  const start = startISO ? dayjs(startISO) : null;
+  const end = endISO ? dayjs(endISO) : null;
+  if (!start && !end) return rows;
+  return rows.filter(r => {
+    if (!r.ts) return false;
+    const t = dayjs(r.ts);
+    if (start && t.isBefore(start)) return false;
+    if (end && t.isAfter(end)) return false;
+    return true;
+  });
+}
+
+// Whole range from Firebase (server-side day bounds, exact times filtered here). Falls back to
+// the offline store, then to cache, when the network is unavailable.
+async function fetchExportRows({ device, startISO, endISO }) {
+  const query = {
+    limit: null,
+    device: device || null,
+    startDate: startISO ? dayjs(startISO).format('YYYY-MM-DD') : null,
+    endDate: endISO ? dayjs(endISO).format('YYYY-MM-DD') : null,
+  };
+  let readings;
+  try {
+    readings = await activeSource().fetch(query);
+  } catch (error) {
+    if (!isNetworkError(error)) throw error;
+    console.error('Export: Firebase unavailable, using offline data:', error);
+    readings = (await loadStoredReadings(query)).readings;
+    if (!readings.length) {
+      showToast(t('export.offline'));
+      return filterByTime(cache.filter(r => !device || r.device === device), startISO, endISO);
+    }
+  }
+  const demo = isDemoMode();
+  return filterByTime(readings.map(r => toCacheRow(r, demo)), startISO, endISO);
+}
+
+function exportCSVRange(rows, meta) {
+  const header = ['Time', 'Device'].concat(meta.params.map(p => p.csv), 'Annotations');
+  const notes = annotationColumn(rows);
+  const lines = [header.join(',')].concat(rows.map(r => [
+    fmtDataTime(r.ts), r.device || '', 
+    ...meta.params.map(p => fmtDataValue(r[p.key], p.digits)),
+    notes.get(r) || '',
+  ].map(v => { const s = (v ?? '').toString(); return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s; }).join(',')));
+  downloadBlob(new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8;' }), exportFileName(meta, 'csv'));
+}
+
+// Missing parameters are null; raw (uncalibrated) values are kept alongside
+function exportJSONRange(rows, meta) {
+  const out = {
+    device: meta.device || null,
+    start: meta.startISO, end: meta.endISO,
+    generated: new Date().toISOString(),
+    demo: isDemoMode(),
+    readings: rows.map(r => ({
+      id: r.id, time: r.ts ? r.ts.toISOString() : null, device: r.device,
+      ...Object.fromEntries(meta.params.map(p => [p.key, r[p.key] ?? null])),
+      raw: Object.fromEntries(meta.params.map(p => [p.key, r.raw[p.key] ?? null])),
+      rssi: r.rssi, snr: r.snr,
+    })),
+  };
+  downloadBlob(new Blob([JSON.stringify(out, null, 2)], { type: 'application/json' }), exportFileName(meta, 'json'));
+}
+
+async function exportXLSXRange(rows, meta) {
+  await loadScript(XLSX_CDN);
+  const data = [['Time', 'Device'].concat(meta.params.map(p => p.csv))]
+    .concat(rows.map(r => [r.ts ? fmtDataTime(r.ts) : '', r.device || ''].concat(meta.params.map(p => r[p.key] ?? null))));
+  const summary = [['Parameter', 'Count', 'Avg', 'Min', 'Max']]
+    .concat(meta.params.map(p => {
+      const st = paramStats(rows, p.key);
+      return st ? [p.csv, st.count, st.avg, st.min, st.max] : [p.csv, 0, null, null, null];
+    }));
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(data), 'Readings');
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(summary), 'Summary');
+  XLSX.writeFile(wb, exportFileName(meta, 'xlsx'));
+}
+
+// Render the exported rows to an off-screen chart and return it as a PNG data URL
+function renderChartImage(rows, params) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 1000; canvas.height = 360;
+  canvas.style.cssText = 'position:fixed; left:-10000px; top:0; width:1000px !important; height:360px !important;';
+  document.body.appendChild(canvas);
+  const span = rows.length > 1 ? rows[0].ts - rows[rows.length - 1].ts : 0;
+  const agg = span > 31 * 86400000 ? '1d' : (span > 3 * 86400000 ? '1h' : (span > 86400000 ? '5m' : 'raw'));
+  const chart = new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    data: { datasets: params.flatMap(p => seriesDatasets(p.key, p.label, PARAM_COLORS[p.key], buildSeries(rows, p.key, agg, rows.length), agg, '')) },
+    options: {
+      responsive: false, animation: false, parsing: false,
+      plugins: { legend: { labels: { filter: (item, data) => !data.datasets[item.datasetIndex].band } } },
+      scales: { x: { type: 'linear', ticks: { callback: v => fmtDate(v, timeTickFormat(span, agg)) } } },
+    },
+  });
+  const img = chart.toBase64Image();
+  chart.destroy();
+  canvas.remove();
+  return img;
+}
+
+function escapeHTML(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// Shared by the export report and the daily/weekly reports
+const REPORT_STYLE = `
+  body{font:14px/1.6 "Noto Sans Thai",system-ui,sans-serif; color:#111; margin:24px;}
+  h1{font-size:20px; margin:0 0 4px;} h2{font-size:16px; margin:20px 0 6px;} h3{font-size:14px; margin:12px 0 4px;}
+  .muted{color:#6b7280;} img{max-width:100%; border:1px solid #e5e7eb; border-radius:8px;}
+  table{border-collapse:collapse; width:100%; margin-bottom:8px;} th,td{border:1px solid #e5e7eb; padding:4px 8px; text-align:left;}
+  th{background:#f8fafc;} td svg{display:block;} .demo{color:#d97706; font-weight:600;} .alarm{color:#dc2626;}
+  h2{break-after:avoid;} @media print{ .no-print{display:none;} body{margin:0;} }
+`;
+
+// Printable report: summary statistics per device + chart image. Written into `win`, the tab runExport
+// opened while still in the click (print → PDF); downloaded as .html when the popup was blocked.
+function exportReport(rows, meta, win) {
+  const devices = uniq(rows.map(r => r.device).filter(Boolean)).sort();
+  const statsTable = (list) => `<table><thead><tr><th>${t('reports.parameter')}</th><th>n</th><th>${t('summary.avg')}</th><th>${t('summary.min')}</th><th>${t('summary.max')}</th></tr></thead><tbody>${meta.params.map(p => {
+    const st = paramStats(list, p.key);
+    return st ? `<tr><td>${p.label}</td><td>${st.count}</td><td>${fmtNumber(st.avg, p.digits)}</td><td>${fmtNumber(st.min, p.digits)}</td><td>${fmtNumber(st.max, p.digits)}</td></tr>`
+      : `<tr><td>${p.label}</td><td>0</td><td colspan="3" class="muted">${NO_DATA}</td></tr>`;
+  }).join('')}</tbody></table>`;
+  const img = rows.length ? renderChartImage(rows, meta.params) : '';
+  const title = `${t('reports.documentTitle')} – ${meta.device ? deviceLabel(meta.device) : t('common.allDevices')}`;
+  const html = `<!doctype html>
+<html lang="${currentLang()}"><head><meta charset="utf-8"><title>${escapeHTML(title)}</title>
+<style>${REPORT_STYLE}</style></head><body>
+<button class="no-print" onclick="window.print()">${t('common.printPdf')}</button>
+<h1>${escapeHTML(title)}</h1>
+<div class="muted">${escapeHTML(t('export.period', { start: fmtTime(meta.startISO && new Date(meta.startISO)), end: fmtTime(meta.endISO && new Date(meta.endISO)) }))} · ${t('reports.readings', { n: rows.length })} · ${escapeHTML(t('export.generatedAt', { time: fmtTime(new Date()) }))}</div>
+${isDemoMode() ? `<div class="demo">${t('common.demoNote')}</div>` : ''}
+${img ? `<h2>${t('reports.chart')}</h2><img src="${img}" alt="${t('reports.chart')}">` : ''}
+<h2>${t('reports.summary')}${devices.length > 1 ? ` (${t('common.allDevices')})` : ''}</h2>
+${statsTable(rows)}
+${devices.length > 1 ? devices.map(d => `<h2>${escapeHTML(deviceLabel(d))}</h2>${statsTable(rows.filter(r => r.device === d))}`).join('') : ''}
+</body></html>`;
+  if (win && !win.closed) {
+    win.document.open();
+    win.document.write(html);
+    win.document.close();
+  } else {
+    downloadBlob(new Blob([html], { type: 'text/html;charset=utf-8' }), exportFileName(meta, 'html'));
+  }
+}
+
+async function runExport(startISO, endISO) {
+  const format = document.getElementById('exportFormat').value || 'csv';
+  const device = document.getElementById('exportDevice').value; // Get device from export modal
+  const keys = [...document.querySelectorAll('#exportParams input:checked')].map(el => el.value);
+  const meta = { device, startISO, endISO, params: PARAMS.filter(p => keys.includes(p.key)) };
+  showToast(t('export.loading', { format: EXPORT_FORMATS[format].label }));
+  // Popups are only allowed during the click, i.e. before the first await
+  const win = format === 'report' ? window.open('', '_blank') : null;
+  try {
+    const rows = await fetchExportRows(meta);
+    if (!rows.length) { if (win) win.close(); showToast(t('common.noDataInRange')); return; }
+    if (format === 'json') exportJSONRange(rows, meta);
+    else if (format === 'xlsx') await exportXLSXRange(rows, meta);
+    else if (format === 'report') exportReport(rows, meta, win);
+    else exportCSVRange(rows, meta);
+    showToast(t('export.done', { n: rows.length, format: EXPORT_FORMATS[format].label }));
+  } catch (error) {
+    if (win) win.close();
+    console.error('Export failed:', error);
+    showToast(t('export.failed'));
+  }
+}
+
+function setupExportOptions() {
+  const ddFormat = document.getElementById('exportFormat');
+  const box = document.getElementById('exportParams');
+  if (ddFormat) ddFormat.innerHTML = Object.entries(EXPORT_FORMATS).map(([k, f]) => `<option value="${k}">${f.label}</option>`).join('');
+  if (box) box.innerHTML = PARAMS.map(p => `<label><input type="checkbox" value="${p.key}" checked> ${p.label}</label>`).join('');
+}
+
+/* ================== Reports (daily / weekly) ================== */
+// Per-device report over a finished day or ISO week: min/avg/max per parameter with a sparkline,
+// alarm excursions (thresholds from the Alarms panel) and data gaps. Generated reports are kept as
+// standalone HTML in localStorage; on boot any enabled period that ended since the last report is
+// generated automatically.
+const REPORTS_STORAGE_KEY = 'water-quality-reports';
+const REPORT_SETTINGS_STORAGE_KEY = 'water-quality-report-settings';
+const REPORT_HISTORY_MAX = 30;
+const REPORT_PERIODS = { daily: { label: t('reports.daily'), unit: 'day' }, weekly: { label: t('reports.weekly'), unit: 'week' } };
+const HTML2PDF_CDN = 'https://cdn.jsdelivr.net/npm/html2pdf.js@0.10.1/dist/html2pdf.bundle.min.js';
+
+let reportHistory = (() => {
+  try { return JSON.parse(localStorage.getItem(REPORTS_STORAGE_KEY)) || []; } catch { return []; }
+})();
+let reportSettings = (() => {
+  try { return { daily: true, weekly: true, ...JSON.parse(localStorage.getItem(REPORT_SETTINGS_STORAGE_KEY)) }; } catch { return { daily: true, weekly: true }; }
+})();
+
+function saveReports() {
+  // Drop the oldest reports if the browser runs out of space
+  while (reportHistory.length) {
+    try { localStorage.setItem(REPORTS_STORAGE_KEY, JSON.stringify(reportHistory)); return; } catch { reportHistory.pop(); }
+  }
+  try { localStorage.removeItem(REPORTS_STORAGE_KEY); } catch { }
+}
+
+// [start, end] of the day / Monday-based week containing `day`
+function reportPeriodBounds(period, day = dayjs()) {
+  let start = dayjs(day).startOf('day');
+  if (period === 'weekly') start = start.subtract((start.day() + 6) % 7, 'day');
+  return [start, start.add(1, period === 'weekly' ? 'week' : 'day').subtract(1, 'millisecond')];
+}
+// The latest period that has fully ended (yesterday / last week)
+function lastCompletedPeriod(period) {
+  const [start] = reportPeriodBounds(period);
+  return reportPeriodBounds(period, start.subtract(1, 'day'));
+}
+
+// Consecutive threshold breaches merged into excursions: { key, kind, start, end, peak, limit, count }
+function alarmExcursions(list) {
+  const open = {};
+  const out = [];
+  list.forEach((r, i) => {
+    const breaches = checkReading(r, list[i - 1]);
+    const now = new Set(breaches.map(b => `${b.key}:${b.kind}`));
+    Object.keys(open).forEach(id => { if (!now.has(id)) { out.push(open[id]); delete open[id]; } });
+    breaches.forEach(b => {
+      const id = `${b.key}:${b.kind}`;
+      const ex = open[id] = open[id] || { key: b.key, kind: b.kind, start: r.ts, end: r.ts, peak: b.value, limit: b.limit, count: 0 };
+      ex.end = r.ts;
+      ex.count++;
+      if (b.kind === 'min' ? b.value < ex.peak : b.value > ex.peak) ex.peak = b.value;
+    });
+  });
+  return out.concat(Object.values(open)).sort((a, b) => a.start - b.start);
+}
+
+// Silences longer than 3× the expected interval, including at the edges of the period
+function reportGaps(device, list, start, end) {
+  const times = list.map(r => r.ts.getTime());
+  const steps = times.slice(1).map((t, i) => t - times[i]).filter(d => d > 0);
+  const expected = expectedInterval(device, steps);
+  const edges = [start.valueOf()].concat(times, Math.min(end.valueOf(), Date.now()));
+  const gaps = [];
+  for (let i = 1; i < edges.length; i++) {
+    if (edges[i] - edges[i - 1] > expected * 3) gaps.push({ start: edges[i - 1], end: edges[i], duration: edges[i] - edges[i - 1] });
+  }
+  return { expected, gaps };
+}
+
+// Inline SVG line of one parameter (downsampled to ≤ width points)
+function sparklineSVG(values, color, width = 120, height = 28) {
+  if (values.length < 2) return '';
+  const per = Math.ceil(values.length / width);
+  const pts = [];
+  for (let i = 0; i < values.length; i += per) {
+    const chunk = values.slice(i, i + per);
+    pts.push(chunk.reduce((a, b) => a + b, 0) / chunk.length);
+  }
+  const lo = Math.min(...pts), hi = Math.max(...pts);
+  const y = v => (hi === lo ? height / 2 : height - 2 - (v - lo) / (hi - lo) * (height - 4));
+  const line = pts.map((v, i) => `${(i / Math.max(1, pts.length - 1) * width).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><polyline fill="none" stroke="${color}" stroke-width="1.5" points="${line}"/></svg>`;
+}
+
+function deviceReportSection(device, list, start, end) {
+  const fmtT = t => fmtTime(new Date(t));
+  if (!list.length) return { html: `<h2>${escapeHTML(device)}</h2><p class="alarm">${t('reports.noData')}</p>`, excursions: 0, gaps: 1, gapTotal: end - start };
+  const { expected, gaps } = reportGaps(device, list, start, end);
+  const excursions = alarmExcursions(list);
+  const rowsHTML = PARAMS.map(p => {
+    const st = paramStats(list, p.key);
+    if (!st) return `<tr><td>${p.label}</td><td>0</td><td colspan="4" class="muted">${NO_DATA}</td></tr>`;
+    const values = list.map(r => r[p.key]).filter(v => v != null);
+    return `<tr><td>${p.label}</td><td>${st.count}</td><td>${fmtNumber(st.min, p.digits)}</td><td>${fmtNumber(st.avg, p.digits)}</td><td>${fmtNumber(st.max, p.digits)}</td><td>${sparklineSVG(values, PARAM_COLORS[p.key])}</td></tr>`;
+  }).join('');
+  const gapTotal = gaps.reduce((a, g) => a + g.duration, 0);
+  const html = `<h2>${escapeHTML(device)}</h2>
+<div class="muted">${t('reports.readings', { n: list.length })} · ${t('reports.interval', { d: formatDuration(expected) })} · ${fmtT(list[0].ts)} – ${fmtT(list[list.length - 1].ts)}</div>
+<table><thead><tr><th>${t('reports.parameter')}</th><th>n</th><th>${t('summary.min')}</th><th>${t('summary.avg')}</th><th>${t('summary.max')}</th><th>${t('summary.trend')}</th></tr></thead><tbody>${rowsHTML}</tbody></table>
+<h3>${t('reports.excursions')} (${excursions.length})</h3>
+${excursions.length ? `<ul>${excursions.map(x => `<li class="alarm">${escapeHTML(paramLabel(x.key))} ${t({ rate: 'reports.excursionRate', max: 'reports.excursionMax', min: 'reports.excursionMin' }[x.kind], x)} · ${fmtT(x.start)} – ${fmtT(x.end)} · ${t('reports.readings', { n: x.count })}</li>`).join('')}</ul>` : `<p class="muted">${t('common.none')}</p>`}
+<h3>${t('reports.gaps')} (${gaps.length})</h3>
+${gaps.length ? `<ul>${gaps.map(g => `<li>${fmtT(g.start)} – ${fmtT(g.end)} (${formatDuration(g.duration)})</li>`).join('')}</ul>` : `<p class="muted">${t('common.none')}</p>`}`;
+  return { html, excursions: excursions.length, gaps: gaps.length, gapTotal };
+}
+
+async function generateReport(period, day) {
+  const [start, end] = reportPeriodBounds(period, day);
+  const rows = (await fetchPeriodRows({ startDate: start.format('YYYY-MM-DD'), endDate: end.format('YYYY-MM-DD'), device: null }))
+    .filter(r => r.ts && r.ts >= start.toDate() && r.ts <= end.toDate())
+    .sort((a, b) => a.ts - b.ts);
+  const devices = uniq(knownDevices.concat(rows.map(r => r.device)).filter(Boolean)).sort();
+  const sections = devices.map(d => ({ device: d, ...deviceReportSection(d, rows.filter(r => r.device === d), start, end) }));
+  const title = `${t('reports.documentTitle')} ${REPORT_PERIODS[period].label} – ${period === 'weekly' ? `${fmtDate(start)} – ${fmtDate(end)}` : fmtDate(start)}`;
+  const html = `<!doctype html>
+<html lang="${currentLang()}"><head><meta charset="utf-8"><title>${escapeHTML(title)}</title>
+<style>${REPORT_STYLE}</style></head><body>
+<button class="no-print" onclick="window.print()">${t('common.printPdf')}</button>
+<h1>${escapeHTML(title)}</h1>
+<div class="muted">${t('reports.readingsFrom', { readings: rows.length, devices: devices.length })} · ${escapeHTML(t('export.generatedAt', { time: fmtTime(new Date()) }))}</div>
+${isDemoMode() ? `<div class="demo">${t('common.demoNote')}</div>` : ''}
+<table><thead><tr><th>${t('common.device')}</th><th>${t('reports.readingsHeader')}</th><th>${t('reports.excursions')}</th><th>${t('reports.gaps')}</th></tr></thead><tbody>
+${sections.map(s => `<tr><td>${escapeHTML(s.device)}</td><td>${rows.filter(r => r.device === s.device).length}</td><td${s.excursions ? ' class="alarm"' : ''}>${s.excursions}</td><td>${s.gaps}${s.gaps ? ` (${formatDuration(s.gapTotal)})` : ''}</td></tr>`).join('')}
+</tbody></table>
+${sections.map(s => s.html).join('\n')}
+</body></html>`;
+  const report = {
+    id: `${period}:${start.format('YYYY-MM-DD')}`, period, title,
+    start: start.toISOString(), end: end.toISOString(), generatedAt: Date.now(),
+    devices: devices.length, readings: rows.length, excursions: sections.reduce((a, s) => a + s.excursions, 0), html,
+  };
+  reportHistory = [report].concat(reportHistory.filter(r => r.id !== report.id))
+    .sort((a, b) => b.start.localeCompare(a.start)).slice(0, REPORT_HISTORY_MAX);
+  saveReports();
+  return report;
+}
+
+// Boot: (re)build the last finished day/week unless a report covering all of it already exists
+async function autoGenerateReports() {
+  // An offline run would store empty reports that are never rebuilt
+  if (navigator.onLine === false) return;
+  for (const period of Object.keys(REPORT_PERIODS)) {
+    if (!reportSettings[period]) continue;
+    const [start, end] = lastCompletedPeriod(period);
+    const existing = reportHistory.find(r => r.id === `${period}:${start.format('YYYY-MM-DD')}`);
+    if (existing && existing.generatedAt > end.valueOf()) continue;
+    try {
+      const report = await generateReport(period, start);
+      showToast(t('reports.autoDone', { period: REPORT_PERIODS[period].label, n: report.readings }));
+    } catch (error) {
+      console.error(`Auto ${period} report failed:`, error);
+    }
+  }
+  renderReportHistory();
+}
+
+function reportFileName(report, ext) {
+  return `water-quality-report-${report.id.replace(':', '-')}.${ext}`;
+}
+async function downloadReportPDF(report) {
+  showToast(t('reports.pdfLoading'));
+  try {
+    await loadScript(HTML2PDF_CDN);
+    await html2pdf().set({ filename: reportFileName(report, 'pdf'), margin: 10, jsPDF: { format: 'a4' }, html2canvas: { scale: 2 } })
+      .from(report.html.replace(/<button class="no-print"[^>]*>.*?<\/button>/, ''), 'string').save();
+  } catch (error) {
+    console.error('PDF export failed:', error);
+    showToast(t('reports.pdfFailed'));
+  }
+}
+
+function showReport(report) {
+  const frame = document.getElementById('reportFrame');
+  frame.srcdoc = report.html;
+  frame.dataset.id = report.id;
+  frame.hidden = false;
+  document.querySelectorAll('#reportHistory li').forEach(li => li.classList.toggle('current', li.dataset.id === report.id));
+}
+
+function renderReportHistory() {
+  const list = document.getElementById('reportHistory');
+  if (!list) return;
+  if (!reportHistory.length) { list.innerHTML = `<li class="t">${t('reports.empty')}</li>`; return; }
+  list.innerHTML = reportHistory.map(r => `<li data-id="${r.id}">
+    <span>${escapeHTML(r.title)}</span>
+    <span class="t">${t('reports.item', { ...r, time: fmtTime(new Date(r.generatedAt)) })}</span>
+    <span class="report-actions">
+      <button class="chip" type="button" data-act="view">${t('common.view')}</button>
+      <button class="chip" type="button" data-act="print">${t('common.print')}</button>
+      <button class="chip" type="button" data-act="html">HTML</button>
+      <button class="chip" type="button" data-act="pdf">PDF</button>
+      <button class="chip" type="button" data-act="delete" aria-label="${t('reports.delete')}">✕</button>
+    </span>
+  </li>`).join('');
+}
+
+function setupReportsPanel() {
+  const modal = document.getElementById('reportsModal');
+  if (!modal) return;
+  const ddPeriod = document.getElementById('reportPeriod');
+  const dayInput = document.getElementById('reportDay');
+  const frame = document.getElementById('reportFrame');
+  ddPeriod.innerHTML = Object.entries(REPORT_PERIODS).map(([k, p]) => `<option value="${k}">${p.label}</option>`).join('');
+  Object.keys(REPORT_PERIODS).forEach(k => {
+    const box = document.getElementById(`reportAuto-${k}`);
+    box.checked = !!reportSettings[k];
+    box.addEventListener('change', () => {
+      reportSettings[k] = box.checked;
+      try { localStorage.setItem(REPORT_SETTINGS_STORAGE_KEY, JSON.stringify(reportSettings)); } catch { }
+    });
+  });
+  document.getElementById('reportsBtn').addEventListener('click', () => {
+    dayInput.value = dayjs().subtract(1, 'day').format('YYYY-MM-DD');
+    renderReportHistory();
+    if (reportHistory.length && !frame.dataset.id) showReport(reportHistory[0]);
+    modal.style.display = 'flex';
+  });
+  document.getElementById('reportsClose').addEventListener('click', () => { modal.style.display = 'none'; });
+  modal.addEventListener('click', e => { if (e.target === modal) modal.style.display = 'none'; });
+  document.getElementById('reportGenerate').addEventListener('click', async (e) => {
+    if (!dayInput.value) { dayInput.classList.add('invalid'); showToast(t('reports.selectDay')); return; }
+    dayInput.classList.remove('invalid');
+    e.target.disabled = true;
+    showToast(t('reports.generating'));
+    try {
+      const report = await generateReport(ddPeriod.value, dayjs(dayInput.value));
+      renderReportHistory();
+      showReport(report);
+      showToast(t('reports.done', { n: report.readings }));
+    } catch (error) {
+      console.error('Report failed:', error);
+      showToast(t('reports.failed'));
+    } finally {
+      e.target.disabled = false;
+    }
+  });
+  document.getElementById('reportHistory').addEventListener('click', e => {
+    const btn = e.target.closest('button[data-act]');
+    const li = e.target.closest('li[data-id]');
+    const report = li && reportHistory.find(r => r.id === li.dataset.id);
+    if (!btn || !report) return;
+    const act = btn.dataset.act;
+    if (act === 'view') showReport(report);
+    else if (act === 'print') {
+      showReport(report);
+      frame.onload = () => { frame.onload = null; frame.contentWindow.print(); };
+    } else if (act === 'html') downloadBlob(new Blob([report.html], { type: 'text/html;charset=utf-8' }), reportFileName(report, 'html'));
+    else if (act === 'pdf') downloadReportPDF(report);
+    else if (act === 'delete') {
+      reportHistory = reportHistory.filter(r => r.id !== report.id);
+      saveReports();
+      if (frame.dataset.id === report.id) { frame.hidden = true; frame.removeAttribute('srcdoc'); delete frame.dataset.id; }
+      renderReportHistory();
+    }
+  });
+}
+
+/* ================== Lab Samples ================== */
+// Manual (lab) measurements per device: { id, device, ts (ISO), values: { ph, ec, ... }, technician,
+// note, remote }. Always kept in localStorage; with the Firebase source they are also pushed to
+// /devices/<id>/lab_samples and merged back in on refresh. Each value is compared with the sensor
+// reading of the same device closest in time (within LAB_MATCH_WINDOW).
+const LAB_STORAGE_KEY = 'water-quality-lab-samples';
+const LAB_MATCH_WINDOW = 30 * 60000;
+// Sensor-vs-lab difference above which a recalibration is suggested: abs = units, pct = % of lab value
+const LAB_TOLERANCE = {
+  ph: { abs: 0.2 }, ec: { pct: 5 }, tds: { pct: 5 }, do: { abs: 0.5 },
+  orp: { abs: 20 }, turbidity: { pct: 10, abs: 1 }, temp: { abs: 0.5 },
+};
+
+let labSamples = (() => {
+  try { return JSON.parse(localStorage.getItem(LAB_STORAGE_KEY)) || []; } catch { return []; }
+})();
+// Sensor rows fetched for samples older than the cache, by `${device}|${YYYY-MM-DD}`
+const labSensorRows = new Map();
+
+function saveLabSamples() {
+  try { localStorage.setItem(LAB_STORAGE_KEY, JSON.stringify(labSamples)); } catch { }
+}
+
+async function syncLabSamples(devices) {
+  labSamples = (await syncDeviceRecords('lab_samples', labSamples, devices)).sort((a, b) => b.ts.localeCompare(a.ts));
+  saveLabSamples();
+}
+
+async function addLabSample(sample, toFirebase) {
+  sample.id = `lab-${Date.now()}`;
+  if (toFirebase) {
+    sample.id = await pushDeviceRecord('lab_samples', sample);
+    sample.remote = true;
+  }
+  labSamples = [sample].concat(labSamples).sort((a, b) => b.ts.localeCompare(a.ts));
+  saveLabSamples();
+}
+
+async function deleteLabSample(sample) {
+  if (sample.remote) await deleteDeviceRecord('lab_samples', sample);
+  labSamples = labSamples.filter(s => s.id !== sample.id);
+  saveLabSamples();
+}
+
+// Sensor row of the sample's device closest to its time, or null
+function matchSensorRow(sample) {
+  const t = new Date(sample.ts).getTime();
+  const day = dayjs(sample.ts).format('YYYY-MM-DD');
+  const pool = cache.concat(labSensorRows.get(`${sample.device}|${day}`) || []).filter(r => r.device === sample.device && r.ts);
+  let best = null;
+  pool.forEach(r => {
+    const d = Math.abs(r.ts.getTime() - t);
+    if (d <= LAB_MATCH_WINDOW && (!best || d < best.d)) best = { row: r, d };
+  });
+  return best && best.row;
+}
+async function loadSensorRowsForSamples(samples) {
+  const need = uniq(samples.filter(s => !matchSensorRow(s)).map(s => `${s.device}|${dayjs(s.ts).format('YYYY-MM-DD')}`))
+    .filter(k => !labSensorRows.has(k));
+  for (const k of need) {
+    const [device, day] = k.split('|');
+    labSensorRows.set(k, await fetchPeriodRows({ startDate: day, endDate: day, device }));
+  }
+}
+
+// [{ key, lab, sensor, delta, pct, out }] for every parameter the sample has
+function labDeviations(sample) {
+  const row = matchSensorRow(sample);
+  return PARAMS.filter(p => sample.values[p.key] != null).map(p => {
+    const lab = sample.values[p.key];
+    const sensor = row ? row[p.key] : null;
+    if (sensor == null) return { key: p.key, lab, sensor: null };
+    const delta = sensor - lab;
+    const pct = lab ? delta / Math.abs(lab) * 100 : null;
+    const tol = LAB_TOLERANCE[p.key] || {};
+    const out = (tol.abs == null || Math.abs(delta) > tol.abs) && (tol.pct == null || pct == null || Math.abs(pct) > tol.pct);
+    return { key: p.key, lab, sensor, delta, pct, out, at: row.ts };
+  });
+}
+
+// Chart markers for lab values between min and max (epoch ms)
+function labDatasets(min, max) {
+  const devices = selectedDevices();
+  const inRange = labSamples.filter(s => {
+    const t = new Date(s.ts).getTime();
+    return (!devices || devices.includes(s.device)) && t >= min && t <= max;
+  });
+  const marker = (key, label, color, points, hiddenId) => ({
+    label, key, data: points, showLine: false, pointStyle: 'rectRot', pointRadius: 7, pointHoverRadius: 9,
+    borderColor: '#111', borderWidth: 1.5, backgroundColor: color, hidden: chartHidden.has(hiddenId), lab: true,
+  });
+  const point = (s, key) => ({ x: new Date(s.ts).getTime(), y: s.values[key], device: s.device, hint: `lab${s.technician ? ` · ${s.technician}` : ''}` });
+  if (chartMode === 'compare') {
+    const all = uniq(knownDevices.concat(cache.map(r => r.device)).filter(Boolean)).sort();
+    return uniq(inRange.map(s => s.device)).flatMap(d => {
+      const points = inRange.filter(s => s.device === d && s.values[compareParam] != null).map(s => point(s, compareParam)).reverse();
+      return points.length ? [marker(`lab:${d}`, `${d} · lab`, DEVICE_COLORS[all.indexOf(d) % DEVICE_COLORS.length], points, `compare:lab:${d}`)] : [];
+    });
+  }
+  return PARAMS.flatMap(p => {
+    const points = inRange.filter(s => s.values[p.key] != null).map(s => point(s, p.key)).reverse();
+    return points.length ? [marker(`lab:${p.key}`, `${p.label.split(' ')[0]} (lab)`, PARAM_COLORS[p.key], points, `params:lab:${p.key}`)] : [];
+  });
+}
+
+/* ---------- Lab samples panel ---------- */
+function fmtDelta(d, p) {
+  if (d.sensor == null) return `<span class="nodata">${t('lab.noSensor')}</span>`;
+  return `<span class="${d.out ? 'lab-out' : 'lab-ok'}">${signed(d.delta, p.digits)}${d.pct != null ? ` (${signed(d.pct, 1)}%)` : ''}</span>`;
+}
+
+async function renderLabSamples() {
+  const table = document.getElementById('labRows');
+  const advice = document.getElementById('labAdvice');
+  if (!table) return;
+  const device = document.getElementById('labFilterDevice').value;
+  const samples = labSamples.filter(s => !device || s.device === device);
+  await loadSensorRowsForSamples(samples.slice(0, 50));
+  table.innerHTML = samples.length ? samples.map(s => {
+    const devs = labDeviations(s);
+    return `<tr data-id="${s.id}">
+      <td>${fmtTime(new Date(s.ts))}</td>
+      <td>${escapeHTML(s.device)}</td>
+      <td>${devs.map(d => { const p = PARAMS.find(x => x.key === d.key); return `<div>${p.label}: lab ${fmtParam(d.lab, p.digits)} · sensor ${fmtParam(d.sensor, p.digits)} · Δ ${fmtDelta(d, p)}</div>`; }).join('')}</td>
+      <td>${escapeHTML(s.technician || '')}${s.note ? `<small class="raw">${escapeHTML(s.note)}</small>` : ''}</td>
+      <td>${can('annotate') ? `<button class="chip" type="button" data-act="delete" aria-label="${t('common.delete')}">✕</button>` : ''}</td>
+    </tr>`;
+  }).join('') : `<tr><td colspan="5" class="nodata">${t('lab.empty')}</td></tr>`;
+  // Latest sample per device/parameter decides whether to recalibrate
+  const latest = {};
+  samples.forEach(s => labDeviations(s).forEach(d => {
+    const k = `${s.device}|${d.key}`;
+    if (!latest[k] && d.sensor != null) latest[k] = { device: s.device, ...d };
+  }));
+  const out = Object.values(latest).filter(d => d.out);
+  advice.innerHTML = out.length
+    ? out.map(d => { const p = PARAMS.find(x => x.key === d.key); return `<li class="active"><span>${escapeHTML(t('lab.recalibrate', { device: d.device, param: p.label, delta: signed(d.delta, p.digits), offset: signed(-d.delta, p.digits) }))}</span></li>`; }).join('')
+    : `<li class="t">${t(Object.keys(latest).length ? 'lab.allOk' : 'lab.noMatch')}</li>`;
+}
+
+function setupLabPanel() {
+  const modal = document.getElementById('labModal');
+  if (!modal) return;
+  const ddLab = document.getElementById('labDevice');
+  const ddFilter = document.getElementById('labFilterDevice');
+  const toFirebase = document.getElementById('labToFirebase');
+  document.getElementById('labValues').innerHTML = PARAMS.map(p => `<div class="field">
+      <span class="label">${p.label}</span>
+      <input type="number" step="any" class="input" data-key="${p.key}">
+    </div>`).join('');
+  document.getElementById('labBtn').addEventListener('click', () => {
+    const devices = uniq(knownDevices.concat(cache.map(r => r.device), labSamples.map(s => s.device)).filter(Boolean)).sort();
+    ddLab.innerHTML = devices.map(x => `<option value="${escapeHTML(x)}">${escapeHTML(deviceLabel(x))}</option>`).join('');
+    ddLab.value = selectedDevice() || devices[0] || '';
+    ddFilter.innerHTML = `<option value="">${t('common.allDevices')}</option>` + devices.map(x => `<option value="${escapeHTML(x)}">${escapeHTML(deviceLabel(x))}</option>`).join('');
+    ddFilter.value = selectedDevice();
+    document.getElementById('labTime').value = dayjs().format('YYYY-MM-DDTHH:mm');
+    toFirebase.disabled = getDataSource().type !== 'firebase';
+    toFirebase.checked = !toFirebase.disabled;
+    renderLabSamples();
+    modal.style.display = 'flex';
+  });
+  ddFilter.addEventListener('change', renderLabSamples);
+  document.getElementById('labCancel').addEventListener('click', () => { modal.style.display = 'none'; });
+  modal.addEventListener('click', e => { if (e.target === modal) modal.style.display = 'none'; });
+  document.getElementById('labSave').addEventListener('click', async () => {
+    const time = document.getElementById('labTime');
+    const values = {};
+    document.querySelectorAll('#labValues input').forEach(inp => { if (inp.value !== '') values[inp.dataset.key] = toNum(inp.value); });
+    if (!ddLab.value) { showToast(t('common.selectDevice')); return; }
+    if (!time.value) { time.classList.add('invalid'); showToast(t('lab.timeRequired')); return; }
+    time.classList.remove('invalid');
+    if (!Object.keys(values).length) { showToast(t('common.enterValue')); return; }
+    const sample = {
+      device: ddLab.value, ts: dayjs(time.value).toISOString(), values,
+      technician: document.getElementById('labTechnician').value.trim(),
+      note: document.getElementById('labNote').value.trim(),
+      createdAt: Date.now(),
+    };
+    try {
+      await addLabSample(sample, toFirebase.checked);
+    } catch (error) {
+      console.error('Saving lab sample to Firebase failed, keeping it locally:', error);
+      await addLabSample(sample, false);
+      showToast(t('common.firebaseSaveFailed'));
+    }
+    document.querySelectorAll('#labValues input, #labNote').forEach(inp => { inp.value = ''; });
+    showToast(t('lab.saved', { device: sample.device }));
+    renderLabSamples();
+    render();
+  });
+  document.getElementById('labRows').addEventListener('click', async e => {
+    const btn = e.target.closest('button[data-act="delete"]');
+    const sample = btn && labSamples.find(s => s.id === btn.closest('tr').dataset.id);
+    if (!sample || !confirm(t('lab.confirmDelete', { device: sample.device, time: fmtTime(new Date(sample.ts)) }))) return;
+    try {
+      await deleteLabSample(sample);
+    } catch (error) {
+      console.error('Deleting lab sample failed:', error);
+      showToast(t('common.deleteFailed'));
+      return;
+    }
+    renderLabSamples();
+    render();
+  });
+}
+
+/* ================== Annotations ================== */
+// Timeline notes per device ("changed the water", "added fertilizer", …): { id, device, ts (ISO),
+// type, label, note, createdAt, remote }. Stored like lab samples (localStorage, plus
+// /devices/<id>/annotations with the Firebase source), drawn on the chart by annotationPlugin and
+// listed next to it. With "บันทึกเหตุการณ์" on, clicking the chart adds one at that point / time.
+const ANNOTATION_STORAGE_KEY = 'water-quality-annotations';
+const ANNOTATION_TYPES = {
+  water: { label: t('annotation.water'), color: '#2563eb' },
+  fertilizer: { label: t('annotation.fertilizer'), color: '#16a34a' },
+  probe: { label: t('annotation.probe'), color: '#d97706' },
+  dose: { label: t('annotation.dose'), color: '#9333ea' },
+  other: { label: t('annotation.other'), color: '#6b7280' },
+};
+let annotations = (() => {
+  try { return JSON.parse(localStorage.getItem(ANNOTATION_STORAGE_KEY)) || []; } catch { return []; }
+})();
+let annotateMode = false;
+
+function saveAnnotations() {
+  annotations.sort((a, b) => b.ts.localeCompare(a.ts));
+  try { localStorage.setItem(ANNOTATION_STORAGE_KEY, JSON.stringify(annotations)); } catch { }
+}
+async function syncAnnotations(devices) {
+  annotations = await syncDeviceRecords('annotations', annotations, devices);
+  saveAnnotations();
+}
+
+// Add or update; falls back to local-only storage when Firebase refuses the write
+async function saveAnnotation(an) {
+  const toFirebase = getDataSource().type === 'firebase';
+  try {
+    if (an.id && an.remote) await updateDeviceRecord('annotations', an);
+    else if (toFirebase && !an.id) { an.id = await pushDeviceRecord('annotations', an); an.remote = true; }
+  } catch (error) {
+    console.error('Saving annotation to Firebase failed, keeping it locally:', error);
+    showToast(t('common.firebaseSaveFailed'));
+  }
+  an.id = an.id || `note-${Date.now()}`;
+  annotations = annotations.filter(a => a.id !== an.id).concat(an);
+  saveAnnotations();
+}
+async function removeAnnotation(an) {
+  if (an.remote) await deleteDeviceRecord('annotations', an);
+  annotations = annotations.filter(a => a.id !== an.id);
+  saveAnnotations();
+}
+
+function annotationTitle(an) {
+  return an.label || ANNOTATION_TYPES[an.type]?.label || t('annotation.event');
+}
+
+// Annotations for the current device/date filters (optionally limited to [min, max] epoch ms)
+function visibleAnnotations(min = -Infinity, max = Infinity) {
+  const devices = chartMode === 'compare' && selectedSite() == null ? null : selectedDevices();
+  const from = startDateFilter.value ? dayjs(startDateFilter.value).startOf('day').valueOf() : -Infinity;
+  const to = endDateFilter.value ? dayjs(endDateFilter.value).endOf('day').valueOf() : Infinity;
+  return annotations.filter(an => {
+    const t = new Date(an.ts).getTime();
+    return (!devices || devices.includes(an.device)) && t >= Math.max(min, from) && t <= Math.min(max, to);
+  });
+}
+
+// Markers for CHART.$annotations
+function annotationMarkers(min, max) {
+  return visibleAnnotations(min, max).map(an => ({
+    x: new Date(an.ts).getTime(),
+    color: (ANNOTATION_TYPES[an.type] || ANNOTATION_TYPES.other).color,
+    title: `${fmtTime(new Date(an.ts))} · ${an.device} · ${annotationTitle(an)}`,
+    text: an.note || '',
+    annotation: an,
+  }));
+}
+
+// Chart.js plugin: dashed vertical line + flag per marker, and a tooltip while hovering a line
+const annotationPlugin = {
+  id: 'annotations',
+  afterDatasetsDraw(chart) {
+    const { ctx, chartArea: a, scales: { x } } = chart;
+    ctx.save();
+    (chart.$annotations || []).forEach(m => {
+      const px = x.getPixelForValue(m.x);
+      if (px < a.left || px > a.right) return;
+      ctx.strokeStyle = ctx.fillStyle = m.color;
+      ctx.lineWidth = m === chart.$annotationHover ? 2.5 : 1.5;
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath(); ctx.moveTo(px, a.top); ctx.lineTo(px, a.bottom); ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.beginPath(); ctx.moveTo(px, a.top); ctx.lineTo(px + 9, a.top + 5); ctx.lineTo(px, a.top + 10); ctx.fill();
+    });
+    ctx.restore();
+  },
+  afterEvent(chart, args) {
+    const e = args.event;
+    const hover = e.type === 'mousemove' && args.inChartArea
+      ? (chart.$annotations || []).find(m => Math.abs(chart.scales.x.getPixelForValue(m.x) - e.x) <= 5) || null
+      : null;
+    if (hover !== (chart.$annotationHover || null)) { chart.$annotationHover = hover; args.changed = true; }
+  },
+  afterDraw(chart) {
+    const m = chart.$annotationHover;
+    if (!m) return;
+    const { ctx, chartArea: a } = chart;
+    const lines = [m.title, m.text].filter(Boolean);
+    ctx.save();
+    ctx.font = '12px "Noto Sans Thai", system-ui, sans-serif';
+    const w = Math.max(...lines.map(l => ctx.measureText(l).width)) + 12;
+    const left = Math.max(a.left, Math.min(chart.scales.x.getPixelForValue(m.x) + 8, a.right - w));
+    ctx.fillStyle = 'rgba(17,24,39,.92)';
+    ctx.fillRect(left, a.top + 12, w, lines.length * 16 + 8);
+    ctx.fillStyle = '#fff';
+    lines.forEach((l, i) => ctx.fillText(l, left + 6, a.top + 28 + i * 16));
+    ctx.restore();
+  },
+};
+
+// makeChart onClick: edit the hovered marker, or start a note at the clicked point / time
+function onChartClick(e, elements, chart) {
+  if (!annotateMode) return;
+  const a = chart.chartArea;
+  if (e.x < a.left || e.x > a.right || e.y < a.top || e.y > a.bottom) return;
+  if (chart.$annotationHover) { openAnnotationForm(chart.$annotationHover.annotation); return; }
+  const hit = elements.map(el => ({ el, ds: chart.data.datasets[el.datasetIndex] })).find(h => !h.ds.band && !h.ds.forecast);
+  const raw = hit && hit.ds.data[hit.el.index];
+  openAnnotationForm({
+    ts: new Date(raw ? raw.x : chart.scales.x.getValueForPixel(e.x)).toISOString(),
+    device: (raw && raw.device) || (chartMode === 'compare' && hit ? hit.ds.key : selectedDevice()) || '',
+  });
+}
+
+// Annotation text per exported row: each note goes to its device's reading nearest in time
+function annotationColumn(rows) {
+  const out = new Map();
+  annotations.forEach(an => {
+    const t = new Date(an.ts).getTime();
+    let best = null;
+    rows.forEach(r => {
+      if (r.device !== an.device || !r.ts) return;
+      const d = Math.abs(r.ts.getTime() - t);
+      if (!best || d < best.d) best = { r, d };
+    });
+    if (!best) return;
+    const text = `${annotationTitle(an)}${an.note ? `: ${an.note}` : ''}`;
+    out.set(best.r, out.has(best.r) ? `${out.get(best.r)}; ${text}` : text);
+  });
+  return out;
+}
+
+/* ---------- Annotation side panel / form ---------- */
+function renderAnnotationList() {
+  const list = document.getElementById('annotationList');
+  if (!list) return;
+  const items = visibleAnnotations();
+  list.innerHTML = items.length ? items.map(an => `<li data-id="${an.id}">
+    <span><span class="dot" style="background:${(ANNOTATION_TYPES[an.type] || ANNOTATION_TYPES.other).color}"></span>${escapeHTML(annotationTitle(an))}</span>
+    <span class="t">${fmtTime(new Date(an.ts))} · ${escapeHTML(deviceLabel(an.device))}</span>
+    ${an.note ? `<span class="t">${escapeHTML(an.note)}</span>` : ''}
+    ${an.dose ? `<span class="t">${doseCheck(an)}</span>` : ''}
+    <span class="report-actions">
+      <button class="chip" type="button" data-act="show">${t('annotation.show')}</button>
+      <button class="chip" type="button" data-act="edit">${t('common.edit')}</button>
+    </span>
+  </li>`).join('') : `<li class="t">${t('annotation.empty')}</li>`;
+}
+
+function openAnnotationForm(an) {
+  const modal = document.getElementById('annotationModal');
+  const ddAn = document.getElementById('annotationDevice');
+  const devices = uniq(knownDevices.concat(cache.map(r => r.device)).filter(Boolean)).sort();
+  ddAn.innerHTML = devices.map(x => `<option value="${escapeHTML(x)}">${escapeHTML(deviceLabel(x))}</option>`).join('');
+  ddAn.value = an.device || selectedDevice() || devices[0] || '';
+  document.getElementById('annotationTime').value = dayjs(an.ts || Date.now()).format('YYYY-MM-DDTHH:mm');
+  document.getElementById('annotationType').value = an.type || 'other';
+  document.getElementById('annotationLabel').value = an.label || '';
+  document.getElementById('annotationNote').value = an.note || '';
+  document.getElementById('annotationDelete').hidden = !an.id || !can('annotate');
+  modal.dataset.id = an.id || '';
+  modal.style.display = 'flex';
+}
+
+function setupAnnotations() {
+  const modal = document.getElementById('annotationModal');
+  if (!modal) return;
+  document.getElementById('annotationType').innerHTML = Object.entries(ANNOTATION_TYPES).map(([k, t]) => `<option value="${k}">${t.label}</option>`).join('');
+  const toggle = document.getElementById('annotateMode');
+  toggle.addEventListener('click', () => {
+    annotateMode = !annotateMode;
+    toggle.setAttribute('aria-pressed', String(annotateMode));
+    document.getElementById('chart').style.cursor = annotateMode ? 'crosshair' : '';
+    showToast(t(annotateMode ? 'annotation.modeOn' : 'annotation.modeOff'));
+  });
+  document.getElementById('annotationAdd').addEventListener('click', () => openAnnotationForm({}));
+  document.getElementById('annotationCancel').addEventListener('click', () => { modal.style.display = 'none'; });
+  modal.addEventListener('click', e => { if (e.target === modal) modal.style.display = 'none'; });
+  document.getElementById('annotationSave').addEventListener('click', async () => {
+    const time = document.getElementById('annotationTime');
+    const device = document.getElementById('annotationDevice').value;
+    if (!device) { showToast(t('common.selectDevice')); return; }
+    if (!time.value) { time.classList.add('invalid'); showToast(t('annotation.timeRequired')); return; }
+    time.classList.remove('invalid');
+    const existing = annotations.find(a => a.id === modal.dataset.id);
+    const an = {
+      ...(existing || { createdAt: Date.now() }),
+      device, ts: dayjs(time.value).toISOString(),
+      type: document.getElementById('annotationType').value,
+      label: document.getElementById('annotationLabel').value.trim(),
+      note: document.getElementById('annotationNote').value.trim(),
+    };
+    // Moving a Firebase note to another device means re-creating it under that device
+    if (existing && existing.remote && existing.device !== device) {
+      await removeAnnotation(existing).catch(error => console.error('Moving annotation failed:', error));
+      delete an.id; delete an.remote;
+    }
+    await saveAnnotation(an);
+    modal.style.display = 'none';
+    showToast(t('annotation.saved', { title: annotationTitle(an) }));
+    render();
+  });
+  document.getElementById('annotationDelete').addEventListener('click', async () => {
+    const an = annotations.find(a => a.id === modal.dataset.id);
+    if (!an || !confirm(t('annotation.confirmDelete', { title: annotationTitle(an) }))) return;
+    try {
+      await removeAnnotation(an);
+    } catch (error) {
+      console.error('Deleting annotation failed:', error);
+      showToast(t('common.deleteFailed'));
+      return;
+    }
+    modal.style.display = 'none';
+    render();
+  });
+  document.getElementById('annotationList').addEventListener('click', e => {
+    const btn = e.target.closest('button[data-act]');
+    const an = btn && annotations.find(a => a.id === btn.closest('li').dataset.id);
+    if (!an) return;
+    if (btn.dataset.act === 'edit') openAnnotationForm(an);
+    else focusChartAt({ ts: new Date(an.ts), device: an.device });
+  });
+}
+
+/* ================== Nutrient Dosing ================== */
+// Dilution/top-up maths for a nutrient tank, starting from the device's newest EC reading in cache.
+// EC is treated as mixing linearly by volume; the stock solution's strength is the EC rise per mL of
+// concentrate per litre of tank (µS/cm per mL/L), which growers measure once per product. A logged
+// dose becomes a 'dose' annotation on the device's timeline carrying the prediction, and readings
+// taken DOSE_MIX_MS later are compared with it.
+const DOSING_STORAGE_KEY = 'water-quality-dosing';
+const DOSE_MIX_MS = 15 * 60000;
+const DOSE_CHECK_MS = 60 * 60000;
+// Target EC ranges (µS/cm) for common hydroponic crops; the middle of the range is used
+const CROP_PRESETS = {
+  lettuce: { label: t('dosing.crop.lettuce'), min: 800, max: 1200 },
+  kale: { label: t('dosing.crop.kale'), min: 1250, max: 1500 },
+  basil: { label: t('dosing.crop.basil'), min: 1000, max: 1600 },
+  strawberry: { label: t('dosing.crop.strawberry'), min: 1000, max: 1500 },
+  cucumber: { label: t('dosing.crop.cucumber'), min: 1700, max: 2500 },
+  tomato: { label: t('dosing.crop.tomato'), min: 2000, max: 3500 },
+};
+const DEFAULT_DOSING = { volume: 100, capacity: null, strength: 100, waterEc: 150, preset: '', target: 1200, unit: 'ec' };
+
+let dosingSettings = (() => {
+  try { return JSON.parse(localStorage.getItem(DOSING_STORAGE_KEY)) || {}; } catch { return {}; }
+})();
+
+function saveDosingSettings() {
+  try { localStorage.setItem(DOSING_STORAGE_KEY, JSON.stringify(dosingSettings)); } catch { }
+}
+
+function dosingFor(device) { return { ...DEFAULT_DOSING, ...(dosingSettings[device] || {}) }; }
+
+// Newest reading of the device with an EC value
+function latestEc(device) {
+  return cache.find(r => r.device === device && r.ec != null) || null;
+}
+
+// { kind: 'concentrate'|'water'|'replace'|'none', amount, predicted } for reaching target EC `target`
+// from `ec` in a tank of `s.volume` litres. amount is mL of concentrate or litres of water.
+// 'replace' (drain that many litres, then refill with water) is used when topping up would overflow.
+function dosingPlan(ec, target, s) {
+  const tolerance = 0.02 * target;
+  if (Math.abs(target - ec) <= tolerance) return { kind: 'none', amount: 0, predicted: ec };
+  if (target > ec) {
+    const perLitre = (target - ec) / s.strength;
+    // amount is in mL, capacity in litres
+    if (s.capacity && s.volume + perLitre * s.volume / 1000 > s.capacity) return { kind: 'full', amount: perLitre * s.volume, predicted: null };
+    return { kind: 'concentrate', amount: perLitre * s.volume, predicted: ec + perLitre * s.strength };
+  }
+  if (target <= s.waterEc) return { kind: 'unreachable', amount: 0, predicted: null };
+  const water = s.volume * (ec - target) / (target - s.waterEc);
+  if (s.capacity && s.volume + water > s.capacity) {
+    const drain = s.volume * (ec - target) / (ec - s.waterEc);
+    return { kind: 'replace', amount: drain, predicted: ((s.volume - drain) * ec + drain * s.waterEc) / s.volume };
+  }
+  return { kind: 'water', amount: water, predicted: (s.volume * ec + water * s.waterEc) / (s.volume + water) };
+}
+
+// Target EC from the form: a crop preset, or the value given as EC or as TDS (converted with the
+// device's calibration TDS factor)
+function dosingTarget(device, s) {
+  if (s.preset && CROP_PRESETS[s.preset]) return (CROP_PRESETS[s.preset].min + CROP_PRESETS[s.preset].max) / 2;
+  if (s.target == null) return null;
+  return s.unit === 'tds' ? s.target / getProfile(device).tdsFactor : s.target;
+}
+
+// "Add 120 mL concentrate" – also the title of the logged event
+function doseLabel(plan) {
+  if (plan.kind === 'concentrate') return t('dosing.addConcentrate', { ml: fmtNumber(plan.amount, 0) });
+  if (plan.kind === 'water') return t('dosing.addWater', { l: fmtNumber(plan.amount, 1) });
+  if (plan.kind === 'replace') return t('dosing.replace', { l: fmtNumber(plan.amount, 1) });
+  return '';
+}
+
+function describeDose(plan) {
+  if (plan.kind === 'unreachable') return t('dosing.unreachable');
+  if (plan.kind === 'full') return t('dosing.full', { ml: fmtNumber(plan.amount, 0) });
+  if (plan.kind === 'none') return t('dosing.onTarget');
+  return t('dosing.plan', { action: doseLabel(plan), ec: fmtParam(plan.predicted, 0) });
+}
+
+// Median EC of the device's readings from DOSE_MIX_MS to DOSE_MIX_MS + DOSE_CHECK_MS after the dose
+function doseOutcome(an) {
+  const from = new Date(an.ts).getTime() + DOSE_MIX_MS;
+  const values = cache.filter(r => r.device === an.device && r.ts && r.ec != null && !hasFlag(r, 'ec'))
+    .filter(r => r.ts.getTime() >= from && r.ts.getTime() <= from + DOSE_CHECK_MS).map(r => r.ec);
+  return values.length ? median(values) : null;
+}
+
+// Predicted vs measured EC of a logged dose
+function doseCheck(an) {
+  const actual = doseOutcome(an);
+  const predicted = t('dosing.predicted', { from: fmtParam(an.dose.from, 0), ec: fmtParam(an.dose.predicted, 0) });
+  return `${predicted} · ${actual == null
+    ? t('dosing.waiting')
+    : t('dosing.actual', { ec: fmtParam(actual, 0), delta: signed((actual - an.dose.predicted) / an.dose.predicted * 100, 1) })}`;
+}
+
+function doseAnnotations(device) {
+  return annotations.filter(an => an.type === 'dose' && an.dose && an.device === device)
+    .sort((a, b) => b.ts.localeCompare(a.ts));
+}
+
+function renderDosing() {
+  const device = document.getElementById('dosingDevice').value;
+  const s = dosingFor(device);
+  const latest = latestEc(device);
+  const result = document.getElementById('dosingResult');
+  const target = dosingTarget(device, s);
+  document.getElementById('dosingCurrent').textContent = latest
+    ? t('dosing.current', { ec: fmtParam(latest.ec, 0), tds: fmtParam(latest.tds, 0), time: fmtTime(latest.ts) })
+    : t('dosing.noReading');
+  const valid = s.volume > 0 && s.strength > 0 && s.waterEc != null && s.waterEc >= 0 && target > 0;
+  const plan = latest && valid ? dosingPlan(latest.ec, target, s) : null;
+  result.textContent = plan ? describeDose(plan) : (latest ? t('dosing.incomplete') : '');
+  result.classList.toggle('warn', !!plan && plan.kind !== 'none');
+  document.getElementById('dosingRecord').disabled = !plan || ['none', 'unreachable', 'full'].includes(plan.kind);
+  const doses = doseAnnotations(device);
+  document.getElementById('dosingHistory').innerHTML = doses.length ? doses.map(an => `<li data-id="${escapeHTML(an.id)}">
+      <span>${escapeHTML(annotationTitle(an))}</span>
+      <span class="t">${fmtTime(new Date(an.ts))} · ${doseCheck(an)}</span>
+    </li>`).join('') : `<li class="t">${t('dosing.noDoses')}</li>`;
+  return { device, latest, target, plan, settings: s };
+}
+
+function fillDosingForm(device) {
+  const s = dosingFor(device);
+  document.getElementById('dosingVolume').value = s.volume ?? '';
+  document.getElementById('dosingCapacity').value = s.capacity ?? '';
+  document.getElementById('dosingStrength').value = s.strength ?? '';
+  document.getElementById('dosingWaterEc').value = s.waterEc ?? '';
+  document.getElementById('dosingPreset').value = s.preset || '';
+  document.getElementById('dosingTarget').value = s.target ?? '';
+  document.getElementById('dosingUnit').value = s.unit;
+  document.getElementById('dosingTarget').disabled = document.getElementById('dosingUnit').disabled = !!s.preset;
+  renderDosing();
+}
+
+function setupDosingPanel() {
+  const modal = document.getElementById('dosingModal');
+  if (!modal) return;
+  const ddDosing = document.getElementById('dosingDevice');
+  document.getElementById('dosingPreset').innerHTML = `<option value="">${t('dosing.customTarget')}</option>`
+    + Object.entries(CROP_PRESETS).map(([k, c]) => `<option value="${k}">${c.label} (${fmtNumber(c.min, 0)}–${fmtNumber(c.max, 0)} µS/cm)</option>`).join('');
+  document.getElementById('dosingBtn').addEventListener('click', () => {
+    const devices = uniq(knownDevices.concat(cache.map(r => r.device)).filter(Boolean)).sort(compareDeviceIds);
+    if (!devices.length) { showToast(t('health.noDevices')); return; }
+    ddDosing.innerHTML = devices.map(x => `<option value="${escapeHTML(x)}">${escapeHTML(deviceLabel(x))}</option>`).join('');
+    ddDosing.value = selectedDevice() || devices[0];
+    fillDosingForm(ddDosing.value);
+    modal.style.display = 'flex';
+  });
+  ddDosing.addEventListener('change', () => fillDosingForm(ddDosing.value));
+  // Every edit is kept per device and recalculated straight away
+  const num = id => { const v = document.getElementById(id).value; return v === '' ? null : toNum(v); };
+  modal.querySelectorAll('.dosing-form input, .dosing-form select').forEach(el => el.addEventListener('input', () => {
+    const preset = document.getElementById('dosingPreset').value;
+    dosingSettings[ddDosing.value] = {
+      volume: num('dosingVolume'), capacity: num('dosingCapacity'), strength: num('dosingStrength'), waterEc: num('dosingWaterEc'),
+      preset, target: num('dosingTarget'), unit: document.getElementById('dosingUnit').value,
+    };
+    saveDosingSettings();
+    document.getElementById('dosingTarget').disabled = document.getElementById('dosingUnit').disabled = !!preset;
+    renderDosing();
+  }));
+  document.getElementById('dosingCancel').addEventListener('click', () => { modal.style.display = 'none'; });
+  modal.addEventListener('click', e => { if (e.target === modal) modal.style.display = 'none'; });
+  document.getElementById('dosingRecord').addEventListener('click', async () => {
+    const { device, latest, target, plan, settings } = renderDosing();
+    if (!plan) return;
+    const an = {
+      createdAt: Date.now(), device, ts: new Date().toISOString(), type: 'dose',
+      label: doseLabel(plan),
+      note: t('dosing.note', { target: fmtParam(target, 0), volume: fmtNumber(settings.volume, 0) }),
+      dose: {
+        kind: plan.kind, amount: Math.round(plan.amount * 10) / 10, volume: settings.volume,
+        strength: settings.strength, waterEc: settings.waterEc, from: latest.ec, target: Math.round(target), predicted: Math.round(plan.predicted),
+      },
+    };
+    await saveAnnotation(an);
+    showToast(t('annotation.saved', { title: annotationTitle(an) }));
+    render();
+    renderDosing();
+  });
+}
+
+/* ================== Calibration ================== */
+// Profiles live in localStorage: { default: profile, devices: { 'pond-1': profile }, history: [...] }
+// profile = { params: { ec: { offset, slope } }, tempComp, alpha, tdsFactor, deriveTds }
+// calibrated = raw * slope + offset; then EC is compensated to 25 °C with the (calibrated) temp reading:
+// EC25 = EC / (1 + alpha * (T - 25)); then TDS = EC25 * tdsFactor when the device sent no TDS.
+const CALIBRATION_STORAGE_KEY = 'water-quality-calibration';
+const CALIBRATION_HISTORY_MAX = 200;
+const TDS_FACTORS = [0.5, 0.64, 0.7];
+const DEFAULT_PROFILE = { params: {}, tempComp: false, alpha: 0.02, tdsFactor: 0.5, deriveTds: false };
+
+let calibration = loadCalibration();
+
+function loadCalibration() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY));
+    if (saved && saved.default) return { devices: {}, history: [], ...saved };
+  } catch { }
+  return { default: { ...DEFAULT_PROFILE }, devices: {}, history: [] };
+}
+function saveCalibration() {
+  calibration.history = calibration.history.slice(0, CALIBRATION_HISTORY_MAX);
+  try { localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(calibration)); } catch { }
+}
+function getProfile(device) {
+  return { ...DEFAULT_PROFILE, ...((device && calibration.devices[device]) || calibration.default) };
+}
+
+// Recompute the calibrated values of a cache row from row.raw (validated sensor values). Rows imported
+// with calibration already applied (row.calibrated) keep their values.
+function applyCalibration(row) {
+  const profile = getProfile(row.device);
+  row.derived = [];
+  if (row.calibrated) {
+    PARAMS.forEach(p => { row[p.key] = row.raw[p.key]; });
+    return row;
+  }
+  PARAMS.forEach(p => {
+    const v = row.raw[p.key];
+    const c = profile.params[p.key];
+    row[p.key] = v != null && c ? p.validate(v * (c.slope ?? 1) + (c.offset ?? 0)) : v;
+  });
+  if (profile.tempComp && row.ec != null && row.temp != null) {
+    const k = 1 + (profile.alpha ?? 0.02) * (row.temp - 25);
+    if (k > 0) row.ec = validateEC(row.ec / k);
+  }
+  if (profile.deriveTds && row.tds == null && row.ec != null) {
+    row.tds = validateTDS(row.ec * profile.tdsFactor);
+    row.derived.push('tds');
+  }
+  return row;
+}
+function recalibrateCache() { cache.forEach(applyCalibration); }
+
+// Raw value worth showing next to the calibrated one (only when they differ)
+function rawHint(row, key) {
+  const raw = row.raw && row.raw[key];
+  if (row.derived && row.derived.includes(key)) return t('calibration.fromEc');
+  return raw != null && raw !== row[key] ? `raw ${raw}` : '';
+}
+
+/* ---------- Calibration settings panel ---------- */
+function renderCalibrationForm() {
+  const device = document.getElementById('calibrationDevice').value;
+  const profile = device ? (calibration.devices[device] || getProfile(null)) : getProfile(null);
+  const fmt = v => v == null ? '' : v;
+  document.getElementById('calibrationRows').innerHTML = PARAMS.map(p => {
+    const c = profile.params[p.key] || {};
+    return `<tr data-key="${p.key}">
+      <td>${p.label}</td>
+      <td><input type="number" step="any" data-f="offset" value="${fmt(c.offset)}" placeholder="0"></td>
+      <td><input type="number" step="any" data-f="slope" value="${fmt(c.slope)}" placeholder="1"></td>
+    </tr>`;
+  }).join('');
+  document.getElementById('calTempComp').checked = !!profile.tempComp;
+  document.getElementById('calAlpha').value = profile.alpha ?? 0.02;
+  document.getElementById('calTdsFactor').value = String(profile.tdsFactor);
+  document.getElementById('calDeriveTds').checked = !!profile.deriveTds;
+}
+function readCalibrationForm() {
+  const params = {};
+  document.querySelectorAll('#calibrationRows tr').forEach(tr => {
+    const field = f => { const v = tr.querySelector(`[data-f="${f}"]`).value; return v === '' ? null : toNum(v); };
+    const offset = field('offset');
+    const slope = field('slope');
+    if ((offset != null && offset !== 0) || (slope != null && slope !== 1)) params[tr.dataset.key] = { offset: offset ?? 0, slope: slope ?? 1 };
+  });
+  return {
+    params,
+    tempComp: document.getElementById('calTempComp').checked,
+    alpha: toNum(document.getElementById('calAlpha').value) ?? 0.02,
+    tdsFactor: Number(document.getElementById('calTdsFactor').value),
+    deriveTds: document.getElementById('calDeriveTds').checked,
+  };
+}
+function describeProfile(profile) {
+  const parts = Object.entries(profile.params || {}).map(([k, c]) => `${paramLabel(k)} ×${c.slope} ${c.offset >= 0 ? '+' : ''}${c.offset}`);
+  if (profile.tempComp) parts.push(`EC@25°C α=${profile.alpha}`);
+  if (profile.deriveTds) parts.push(`TDS=EC×${profile.tdsFactor}`);
+  return parts.join(', ') || t('calibration.none');
+}
+function renderCalibrationHistory() {
+  const list = document.getElementById('calibrationHistory');
+  if (!list) return;
+  if (!calibration.history.length) { list.innerHTML = `<li class="t">${t('calibration.empty')}</li>`; return; }
+  list.innerHTML = calibration.history.map(h => `<li>
+    <span>${h.device ? escapeHTML(deviceLabel(h.device)) : t('common.defaults')}: ${h.after ? describeProfile(h.after) : t('calibration.removed')}</span>
+    <span class="t">${fmtTime(new Date(h.at))}${h.before ? t('calibration.before', { profile: describeProfile(h.before) }) : ''}</span>
+  </li>`).join('');
+}
+function recordCalibration(device, after) {
+  const before = device ? calibration.devices[device] || null : calibration.default;
+  calibration.history.unshift({ at: Date.now(), device: device || null, before, after });
+  if (device) {
+    if (after) calibration.devices[device] = after; else delete calibration.devices[device];
+  } else {
+    calibration.default = after;
+  }
+  saveCalibration();
+  recalibrateCache();
+  render();
+}
+function setupCalibrationPanel() {
+  const modal = document.getElementById('calibrationModal');
+  const ddCal = document.getElementById('calibrationDevice');
+  if (!modal || !ddCal) return;
+  document.getElementById('calTdsFactor').innerHTML = TDS_FACTORS.map(f => `<option value="${f}">${f}</option>`).join('');
+  document.getElementById('calibrationBtn').addEventListener('click', () => {
+    const devices = uniq(knownDevices.concat(cache.map(r => r.device)).filter(Boolean).concat(Object.keys(calibration.devices))).sort();
+    ddCal.innerHTML = `<option value="">${t('common.defaultsAllDevices')}</option>` + devices.map(x => `<option value="${escapeHTML(x)}">${escapeHTML(deviceLabel(x))}${calibration.devices[x] ? ' *' : ''}</option>`).join('');
+    ddCal.value = selectedDevice();
+    renderCalibrationForm();
+    renderCalibrationHistory();
+    modal.style.display = 'flex';
+  });
+  ddCal.addEventListener('change', renderCalibrationForm);
+  document.getElementById('calibrationCancel').addEventListener('click', () => { modal.style.display = 'none'; });
+  modal.addEventListener('click', e => { if (e.target === modal) modal.style.display = 'none'; });
+  document.getElementById('calibrationReset').addEventListener('click', () => {
+    const device = ddCal.value;
+    recordCalibration(device, device ? null : { ...DEFAULT_PROFILE, params: {} });
+    renderCalibrationForm();
+    renderCalibrationHistory();
+    showToast(device ? t('calibration.deviceDefaults', { device }) : t('calibration.cleared'));
+  });
+  document.getElementById('calibrationSave').addEventListener('click', () => {
+    const profile = readCalibrationForm();
+    const bad = Object.entries(profile.params).find(([, c]) => c.slope === 0);
+    if (bad) { showToast(t('calibration.zeroSlope', { param: paramLabel(bad[0]) })); return; }
+    recordCalibration(ddCal.value, profile);
+    modal.style.display = 'none';
+    showToast(t('calibration.saved'));
+  });
+}
+
+/* ================== Alarms / Thresholds ================== */
+// Rules live in localStorage: { default: { ec: { min, max, rate } }, devices: { 'pond-1': { ec: {...} } } }
+// A device rule overrides the default rule for that parameter. rate = max change per hour between readings.
+const THRESHOLD_STORAGE_KEY = 'water-quality-thresholds';
+const ALARM_LOG_STORAGE_KEY = 'water-quality-alarm-log';
+const ALARM_LOG_MAX = 200;
+const ALARM_PARAMS = ['ec', 'tds', 'ph', 'do', 'temp'];
+const DEFAULT_THRESHOLDS = {
+  default: {
+    ec: { min: null, max: 1500, rate: null },
+    tds: { min: null, max: 1000, rate: null },
+    ph: { min: 6.5, max: 8.5, rate: null },
+    do: { min: 4, max: null, rate: null },
+    temp: { min: 20, max: 32, rate: null },
+  },
+  devices: {},
+  sound: true,
+  notify: false,
+};
+
+let thresholds = loadThresholds();
+let alarmLog = loadAlarmLog();
+// Last reading evaluated per device ({ row, prev }): the previous reading for rate rules, and the
+// high-water mark so re-delivered or older readings (a past date range) never re-open/clear alarms
+const alarmLast = {};
+
+function loadThresholds() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(THRESHOLD_STORAGE_KEY));
+    if (saved && saved.default) return { ...DEFAULT_THRESHOLDS, ...saved };
+  } catch { }
+  return JSON.parse(JSON.stringify(DEFAULT_THRESHOLDS));
+}
+function saveThresholds() {
+  try { localStorage.setItem(THRESHOLD_STORAGE_KEY, JSON.stringify(thresholds)); } catch { }
+}
+function loadAlarmLog() {
+  try { return JSON.parse(localStorage.getItem(ALARM_LOG_STORAGE_KEY)) || []; } catch { return []; }
+}
+function saveAlarmLog() {
+  alarmLog = alarmLog.slice(0, ALARM_LOG_MAX);
+  try { localStorage.setItem(ALARM_LOG_STORAGE_KEY, JSON.stringify(alarmLog)); } catch { }
+}
+
+// Effective rule for one device/parameter (device override, else default)
+function getRule(device, key) {
+  const own = device && thresholds.devices[device] && thresholds.devices[device][key];
+  return own || thresholds.default[key] || null;
+}
+
+// Compare a reading (and the previous one from the same device, for rate) against its rules.
+// Returns [{ key, kind: 'min'|'max'|'rate', value, limit }]
+function checkReading(row, prev) {
+  const breaches = [];
+  ALARM_PARAMS.forEach(key => {
+    const rule = getRule(row.device, key);
+    const v = row[key];
+    if (!rule || v == null) return;
+    if (rule.min != null && v < rule.min) breaches.push({ key, kind: 'min', value: v, limit: rule.min });
+    if (rule.max != null && v > rule.max) breaches.push({ key, kind: 'max', value: v, limit: rule.max });
+    if (rule.rate != null && prev && prev[key] != null && row.ts && prev.ts) {
+      const hours = (row.ts - prev.ts) / 3600000;
+      if (hours > 0) {
+        const perHour = Math.abs(v - prev[key]) / hours;
+        if (perHour > rule.rate) breaches.push({ key, kind: 'rate', value: Math.round(perHour * 100) / 100, limit: rule.rate });
+      }
+    }
+  });
+  return breaches;
+}
+
+// Active alarms are the log entries that haven't cleared yet
+function activeAlarms() { return alarmLog.filter(a => !a.end); }
+function alarmId(device, key, kind) { return `${device}|${key}|${kind}`; }
+function paramLabel(key) { return (PARAMS.find(p => p.key === key) || { label: key }).label; }
+function describeAlarm(a) {
+  return `${deviceLabel(a.device)}: ${paramLabel(a.key)} ${t(`alarm.${a.kind}`, a)}`;
+}
+
+// Evaluate readings as they come in, oldest first per device, whatever the view filter shows:
+// appendReadings passes every new reading, refresh() the fetched ones. A device seen for the first
+// time is only judged on its newest reading. Opens/clears log entries on state changes.
+function evaluateAlarms(rows) {
+  const byDevice = {};
+  rows.forEach(r => { if (r.device && r.ts) (byDevice[r.device] = byDevice[r.device] || []).push(r); });
+  const changes = { opened: [], cleared: [] };
+  Object.entries(byDevice).forEach(([device, list]) => {
+    list.sort((a, b) => a.ts - b.ts);
+    if (!alarmLast[device]) {
+      alarmLast[device] = { row: list.length > 1 ? list[list.length - 2] : null, prev: null };
+      list = list.slice(-1);
+    }
+    list.forEach(row => {
+      const last = alarmLast[device].row;
+      if (last && row.ts <= last.ts) return;
+      alarmLast[device] = { row, prev: last };
+      applyAlarmState(device, row, checkReading(row, last), changes);
+    });
+  });
+  announceAlarms(changes);
+}
+
+// Re-judge the last reading of every device, e.g. after the rules changed
+function recheckAlarms() {
+  const changes = { opened: [], cleared: [] };
+  Object.entries(alarmLast).forEach(([device, { row, prev }]) => {
+    if (row) applyAlarmState(device, row, checkReading(row, prev), changes);
+  });
+  announceAlarms(changes);
+}
+
+function applyAlarmState(device, row, breaches, { opened, cleared }) {
+  const currentIds = new Set(breaches.map(b => alarmId(device, b.key, b.kind)));
+  activeAlarms().filter(a => a.device === device).forEach(a => {
+    if (!currentIds.has(alarmId(device, a.key, a.kind))) { a.end = row.ts.getTime(); cleared.push(a); }
+  });
+  breaches.forEach(b => {
+    const open = activeAlarms().find(a => alarmId(a.device, a.key, a.kind) === alarmId(device, b.key, b.kind));
+    if (open) { open.value = b.value; return; }
+    const entry = { device, ...b, start: row.ts.getTime(), end: null };
+    alarmLog.unshift(entry);
+    opened.push(entry);
+  });
+}
+
+function announceAlarms({ opened, cleared }) {
+  if (!opened.length && !cleared.length) return;
+  saveAlarmLog();
+  opened.forEach(a => { showToast(`⚠️ ${describeAlarm(a)}`, { timeout: 6000 }); notifyAlarm(a); });
+  cleared.forEach(a => showToast(t('alarm.cleared', { device: a.device, param: paramLabel(a.key) })));
+  if (opened.length) playAlarmSound();
+  renderAlarmLog();
+}
+
+function notifyAlarm(a) {
+  if (!thresholds.notify || !('Notification' in window) || Notification.permission !== 'granted') return;
+  try { new Notification(t('alarm.notificationTitle'), { body: describeAlarm(a), icon: 'icon.png', tag: alarmId(a.device, a.key, a.kind) }); } catch { }
+}
+
+let alarmAudio;
+function playAlarmSound() {
+  if (!thresholds.sound) return;
+  try {
+    alarmAudio = alarmAudio || new (window.AudioContext || window.webkitAudioContext)();
+    const osc = alarmAudio.createOscillator();
+    const gain = alarmAudio.createGain();
+    osc.type = 'square';
+    osc.frequency.value = 880;
+    gain.gain.value = 0.08;
+    osc.connect(gain).connect(alarmAudio.destination);
+    osc.start();
+    osc.stop(alarmAudio.currentTime + 0.6);
+  } catch { }
+}
+
+// Highlight KPI cards whose parameter is in alarm for the device shown in the KPI row
+function highlightKPIs(latest) {
+  const devices = latest ? latest.devices || [latest.device] : [];
+  const active = activeAlarms().filter(a => devices.includes(a.device));
+  Object.entries(KPI_ELS).forEach(([key, el]) => {
+    const card = el.closest('.kpi');
+    const hits = active.filter(a => a.key === key);
+    card.classList.toggle('alarm', hits.length > 0);
+    card.title = hits.map(describeAlarm).join('\n');
+  });
+}
+
+/* ---------- Threshold settings panel ---------- */
+function renderThresholdForm() {
+  const device = document.getElementById('thresholdDevice').value;
+  const own = device ? (thresholds.devices[device] || {}) : thresholds.default;
+  const fmt = v => v == null ? '' : v;
+  document.getElementById('thresholdRows').innerHTML = ALARM_PARAMS.map(key => {
+    const r = own[key] || {};
+    const ph = device ? (thresholds.default[key] || {}) : {};
+    return `<tr data-key="${key}">
+      <td>${paramLabel(key)}</td>
+      <td><input type="number" step="any" data-f="min" value="${fmt(r.min)}" placeholder="${fmt(ph.min)}"></td>
+      <td><input type="number" step="any" data-f="max" value="${fmt(r.max)}" placeholder="${fmt(ph.max)}"></td>
+      <td><input type="number" step="any" min="0" data-f="rate" value="${fmt(r.rate)}" placeholder="${fmt(ph.rate)}"></td>
+    </tr>`;
+  }).join('');
+  document.getElementById('alarmSound').checked = !!thresholds.sound;
+  document.getElementById('alarmNotify').checked = !!thresholds.notify;
+}
+function readThresholdForm() {
+  const rules = {};
+  document.querySelectorAll('#thresholdRows tr').forEach(tr => {
+    const rule = {};
+    let any = false;
+    tr.querySelectorAll('input').forEach(inp => {
+      const v = inp.value === '' ? null : toNum(inp.value);
+      rule[inp.dataset.f] = v;
+      if (v != null) any = true;
+    });
+    if (any) rules[tr.dataset.key] = rule;
+  });
+  return rules;
+}
+function renderAlarmLog() {
+  const list = document.getElementById('alarmLog');
+  if (!list) return;
+  if (!alarmLog.length) { list.innerHTML = `<li class="t">${t('alarm.empty')}</li>`; return; }
+  list.innerHTML = alarmLog.map(a => `<li class="${a.end ? '' : 'active'}">
+    <span>${escapeHTML(describeAlarm(a))}</span>
+    <span class="t">${t('alarm.started', { time: fmtTime(new Date(a.start)) })} · ${a.end ? t('alarm.ended', { time: fmtTime(new Date(a.end)) }) : t('alarm.ongoing')}</span>
+  </li>`).join('');
+}
+function setupThresholdPanel() {
+  const modal = document.getElementById('thresholdModal');
+  const ddThreshold = document.getElementById('thresholdDevice');
+  if (!modal || !ddThreshold) return;
+  document.getElementById('thresholdBtn').addEventListener('click', () => {
+    const devices = uniq(cache.map(r => r.device).filter(Boolean).concat(Object.keys(thresholds.devices))).sort();
+    ddThreshold.innerHTML = `<option value="">${t('common.defaultsAllDevices')}</option>` + devices.map(x => `<option value="${escapeHTML(x)}">${escapeHTML(deviceLabel(x))}${thresholds.devices[x] ? ' *' : ''}</option>`).join('');
+    ddThreshold.value = selectedDevice();
+    renderThresholdForm();
+    renderAlarmLog();
+    modal.style.display = 'flex';
+  });
+  ddThreshold.addEventListener('change', renderThresholdForm);
+  document.getElementById('thresholdCancel').addEventListener('click', () => { modal.style.display = 'none'; });
+  modal.addEventListener('click', e => { if (e.target === modal) modal.style.display = 'none'; });
+  document.getElementById('thresholdReset').addEventListener('click', () => {
+    const device = ddThreshold.value;
+    if (device) delete thresholds.devices[device];
+    else thresholds.default = JSON.parse(JSON.stringify(DEFAULT_THRESHOLDS.default));
+    saveThresholds();
+    renderThresholdForm();
+    recheckAlarms();
+    highlightKPIs(kpiRow(filterRows()));
+    showToast(device ? t('alarm.deviceDefaults', { device }) : t('alarm.reset'));
+  });
+  document.getElementById('alarmLogClear').addEventListener('click', () => {
+    alarmLog = activeAlarms();
+    saveAlarmLog();
+    renderAlarmLog();
+  });
+  document.getElementById('thresholdSave').addEventListener('click', async () => {
+    const device = ddThreshold.value;
+    const rules = readThresholdForm();
+    const bad = Object.entries(rules).find(([, r]) => r.min != null && r.max != null && r.min > r.max);
+    if (bad) { showToast(t('alarm.minMax', { param: paramLabel(bad[0]) })); return; }
+    if (device) {
+      if (Object.keys(rules).length) thresholds.devices[device] = rules;
+      else delete thresholds.devices[device];
+    } else {
+      thresholds.default = rules;
+    }
+    thresholds.sound = document.getElementById('alarmSound').checked;
+    thresholds.notify = document.getElementById('alarmNotify').checked;
+    if (thresholds.notify && 'Notification' in window && Notification.permission === 'default') {
+      try { await Notification.requestPermission(); } catch { }
+    }
+    saveThresholds();
+    modal.style.display = 'none';
+    recheckAlarms();
+    highlightKPIs(kpiRow(filterRows()));
+    showToast(t('alarm.saved'));
+  });
+}
+
+/* ================== URL State (deep links) ================== */
+// Filters and chart options live in the query string so a view can be shared and back/forward works:
+//   ?device=pond-3&range=7d&points=200&mode=compare&param=ec&agg=1h&hide=params:ph,params:orp
+// A quick-range chip is stored as range= (relative to today); otherwise start=/end= hold fixed dates.
+const RANGE_CHIPS = { all: 'rangeAll', today: 'rangeToday', '7d': 'range7', '30d': 'range30' };
+
+function rangeDates(range) {
+  const today = dayjs().format('YYYY-MM-DD');
+  if (range === 'today') return [today, today];
+  if (range === '7d') return [dayjs().subtract(6, 'day').format('YYYY-MM-DD'), today];
+  if (range === '30d') return [dayjs().subtract(29, 'day').format('YYYY-MM-DD'), today];
+  return ['', ''];
+}
+function activeRange() {
+  return Object.keys(RANGE_CHIPS).find(k => document.getElementById(RANGE_CHIPS[k])?.getAttribute('aria-pressed') === 'true') || null;
+}
+function setRangeChip(range) {
+  Object.entries(RANGE_CHIPS).forEach(([k, id]) => document.getElementById(id)?.setAttribute('aria-pressed', k === range ? 'true' : 'false'));
+}
+
+function urlStateQuery() {
+  const q = new URLSearchParams();
+  const keep = new URLSearchParams(location.search).get('demo');
+  if (keep != null) q.set('demo', keep);
+  if (ddDevice.value) q.set('device', ddDevice.value);
+  const range = activeRange();
+  if (range && range !== 'all') q.set('range', range);
+  else if (!range) {
+    if (startDateFilter.value) q.set('start', startDateFilter.value);
+    if (endDateFilter.value) q.set('end', endDateFilter.value);
+  }
+  if (ddPoints.value && ddPoints.value !== '100') q.set('points', ddPoints.value);
+  if (chartMode !== 'params') q.set('mode', chartMode);
+  if (chartMode === 'compare') q.set('param', compareParam);
+  if (chartAgg !== 'auto') q.set('agg', chartAgg);
+  if (forecastHours !== 12) q.set('forecast', forecastHours);
+  if (chartHidden.size) q.set('hide', [...chartHidden].join(','));
+  return q.toString();
+}
+
+// Push a history entry when the view changed (replace on the first sync after boot/popstate)
+let urlStateReplace = true;
+function syncUrlState() {
+  const qs = urlStateQuery();
+  if (qs === location.search.replace(/^\?/, '')) { urlStateReplace = false; return; }
+  const url = `${location.pathname}${qs ? `?${qs}` : ''}${location.hash}`;
+  if (urlStateReplace) history.replaceState(null, '', url); else history.pushState(null, '', url);
+  urlStateReplace = false;
+}
+
+function applyUrlState() {
+  const q = new URLSearchParams(location.search);
+  const device = q.get('device') || '';
+  // The dropdown is filled after the first fetch; make sure the option exists so the value sticks
+  if (device && ![...ddDevice.options].some(o => o.value === device)) ddDevice.add(new Option(device, device));
+  ddDevice.value = device;
+  const range = q.get('range') || (q.get('start') || q.get('end') ? null : 'all');
+  setRangeChip(range);
+  const [s, e] = range ? rangeDates(range) : [q.get('start') || '', q.get('end') || ''];
+  startDateFilter.value = s;
+  endDateFilter.value = e;
+  const points = q.get('points') || '100';
+  if ([...ddPoints.options].some(o => o.value === points)) ddPoints.value = points;
+  chartMode = q.get('mode') === 'compare' ? 'compare' : 'params';
+  compareParam = PARAMS.concat(WQI_SERIES).some(p => p.key === q.get('param')) ? q.get('param') : 'ec';
+  chartAgg = ['auto', 'raw', '5m', '1h', '1d'].includes(q.get('agg')) ? q.get('agg') : 'auto';
+  forecastHours = ['0', '6', '12', '24'].includes(q.get('forecast')) ? Number(q.get('forecast')) : 12;
+  chartHidden.clear();
+  (q.get('hide') || '').split(',').filter(Boolean).forEach(id => chartHidden.add(id));
+  const ddMode = document.getElementById('chartMode');
+  const ddParam = document.getElementById('compareParam');
+  const ddAgg = document.getElementById('chartAgg');
+  if (ddMode) ddMode.value = chartMode;
+  if (ddParam) { ddParam.value = compareParam; ddParam.hidden = chartMode !== 'compare'; }
+  if (ddAgg) ddAgg.value = chartAgg;
+  const ddForecast = document.getElementById('forecastHours');
+  if (ddForecast) ddForecast.value = String(forecastHours);
+}
+
+function setupUrlState() {
+  applyUrlState();
+  // Typing a date by hand no longer matches a quick-range chip
+  [startDateFilter, endDateFilter].forEach(el => el.addEventListener('change', () => setRangeChip(null)));
+  window.addEventListener('popstate', () => {
+    applyUrlState();
+    urlStateReplace = true;
+    refresh();
+  });
+}
+
+/* ================== Refresh ================== */
+let realtimeListeners = [];
+// Query of the last full fetch; incremental appends are trimmed to the same per-device limit
+let cacheQuery = {};
+
+async function refresh() { 
+  const baseLimit = Number(ddPoints.value || 100); 
+  const startDate = startDateFilter.value || null; 
+  const endDate = endDateFilter.value || null; 
   const hasRange = !!(startDate || endDate); 
-  const allDevicesSelected = !ddDevice.value; 
-  const fetchLimit = hasRange ? null : baseLimit * (allDevicesSelected ? 8 : 1); 
+  const device = selectedDevice() || null; 
+  const fetchLimit = hasRange ? null : baseLimit; 
   
-  await fetchSheet({ limit: fetchLimit, startDate, endDate }); 
+  cacheQuery = { limit: fetchLimit, startDate, endDate, device };
+  await fetchSheet(cacheQuery); 
+  // Only data reaching up to now can open or clear alarms
+  if (!endDate || endDate >= dayjs().format('YYYY-MM-DD')) evaluateAlarms(cache);
+  await Promise.all([syncDeviceExtras(), fetchPreviousPeriod()]);
+  buildDeviceOptions();
+  render();
+}
+
+// Redraw everything from cache without fetching
+function render() {
+  const baseLimit = Number(ddPoints.value || 100); 
+  syncUrlState();
+  detectAnomalies();
+  scoreRows();
   const rows = filterRows(); 
   
-  // KPIs/Chart/Summary/Table use main filter
-  updateKPIs(rows[0]); 
-  updateChart(rows.slice(0, baseLimit)); 
-  updateSummary(rows.slice(0, baseLimit)); 
+  // KPIs/Chart/Summary/Table use main filter; a selected site shows its per-device average
+  const latest = kpiRow(rows);
+  updateKPIs(latest);
+  highlightKPIs(latest);
+  updateWqiCard(latest);
+  updateForecastNotes(latest);
+  updateChart(rows); 
+  renderAnnotationList();
+  // Over a date range the summary covers all of it (comparable with the previous period)
+  updateSummary(comparisonPeriod() ? rows : rows.slice(0, baseLimit)); 
   updateTable(rows);
+  updateDeviceHealth();
+  updateSiteOverview();
+}
+
+// Add newly pushed readings to cache instead of re-fetching; returns how many were added
+function appendReadings(readings) {
+  const demo = isDemoMode();
+  const known = new Set(cache.map(r => r.id));
+  const incoming = readings.filter(r => !known.has(r.id)).map(r => toCacheRow(r, demo));
+  // Alarms watch every device, not just the one on screen
+  evaluateAlarms(incoming);
+  const fresh = incoming.filter(r => !cacheQuery.device || r.device === cacheQuery.device);
+  if (!fresh.length) return 0;
+  trackLastSeen(fresh);
+  persistReadings(readings).catch(error => console.error('Error saving readings offline:', error));
+  cache = fresh.concat(cache).sort((a, b) => (b.ts || 0) - (a.ts || 0));
+  if (cacheQuery.limit) {
+    const perDevice = {};
+    cache = cache.filter(r => (perDevice[r.device] = (perDevice[r.device] || 0) + 1) <= cacheQuery.limit);
+  }
+  return fresh.length;
+}
+
+// Coalesce bursts of child_added events into one redraw
+let renderPending;
+function scheduleRender() {
+  if (renderPending) return;
+  renderPending = setTimeout(() => {
+    renderPending = null;
+    buildDeviceOptions();
+    render();
+  }, 300);
+}
+
+// Polling fallback: ask each device only for children after its last known key
+async function pollNewReadings() {
+  try {
+    knownDevices = await fetchDeviceList();
+    const fresh = (await Promise.all(knownDevices.map(fetchNewReadings))).flat();
+    if (appendReadings(fresh)) scheduleRender();
+  } catch (error) {
+    console.error('Error polling new readings:', error);
+  }
 }
 
 function startAuto() { 
   if (timer) clearInterval(timer); 
-  timer = setInterval(refresh, REFRESH_SEC * 1000); 
+  timer = setInterval(pollNewReadings, REFRESH_SEC * 1000); 
 }
 
-// Setup Firebase Realtime listeners
+// Live updates from the active data source (file imports have none)
 function setupRealtimeListeners() {
+  const source = activeSource();
+  if (source.listen) source.listen();
+}
+
+// Firebase Realtime listeners: one child_added per device, starting at its last known key,
+// so only new readings travel over the wire. New devices are picked up by a periodic shallow scan.
+const DEVICE_SCAN_SEC = 60;
+let deviceScanTimer;
+function setupFirebaseListeners() {
   if (!window.firebase) {
     console.log('Firebase not available, using polling instead');
     startAuto();
@@ -504,22 +4203,18 @@ function setupRealtimeListeners() {
   stopRealtimeListeners();
 
   try {
-    const { database, ref, onValue } = window.firebase;
-    const devicesRef = ref(database, 'devices');
-    
-    const listener = onValue(devicesRef, (snapshot) => {
-      if (snapshot.exists()) {
-        console.log('Firebase data updated, refreshing...');
-        refresh();
-        showToast('ข้อมูลอัปเดตแบบ Real-time');
+    knownDevices.forEach(listenDevice);
+    syncDeviceExtras();
+    if (deviceScanTimer) clearInterval(deviceScanTimer);
+    deviceScanTimer = setInterval(async () => {
+      try {
+        const devices = await fetchDeviceList();
+        devices.filter(d => !realtimeListeners.some(l => l.device === d)).forEach(listenDevice);
+        knownDevices = devices;
+      } catch (error) {
+        console.error('Error scanning devices:', error);
       }
-    }, (error) => {
-      console.error('Firebase listener error:', error);
-      // Fallback to polling if realtime fails
-      startAuto();
-    });
-
-    realtimeListeners.push({ ref: devicesRef, listener });
+    }, DEVICE_SCAN_SEC * 1000);
     console.log('Firebase Realtime listeners activated');
   } catch (error) {
     console.error('Error setting up Firebase listeners:', error);
@@ -528,38 +4223,59 @@ function setupRealtimeListeners() {
   }
 }
 
+function listenDevice(device) {
+  const { database, ref, query, orderByKey, startAt, limitToLast, onChildAdded } = window.firebase;
+  const readingsRef = ref(database, `devices/${device}/readings`);
+  const after = lastKeys[device];
+  const q = after ? query(readingsRef, orderByKey(), startAt(after)) : query(readingsRef, limitToLast(1));
+  const unsubscribe = onChildAdded(q, (snapshot) => {
+    if (after && snapshot.key <= after) return;
+    trackLastKey(device, snapshot.key);
+    if (appendReadings([{ id: snapshot.key, device, ...snapshot.val() }])) {
+      scheduleRender();
+      showToast(t('realtime.update'));
+    }
+  }, (error) => {
+    console.error('Firebase listener error:', error);
+    // Fallback to polling if realtime fails
+    startAuto();
+  });
+  realtimeListeners.push({ device, unsubscribe });
+}
+
 function stopRealtimeListeners() {
-  if (window.firebase && realtimeListeners.length > 0) {
-    const { off } = window.firebase;
-    realtimeListeners.forEach(({ ref, listener }) => {
-      off(ref, 'value', listener);
-    });
-    realtimeListeners = [];
-  }
+  realtimeListeners.forEach(({ unsubscribe }) => unsubscribe());
+  realtimeListeners = [];
+  recordListeners.forEach(unsubscribe => unsubscribe());
+  recordListeners = [];
+  recordsSynced.clear();
+  if (deviceScanTimer) { clearInterval(deviceScanTimer); deviceScanTimer = null; }
 }
 
 /* ================== Boot ================== */
 window.addEventListener('DOMContentLoaded', async () => {
+  applyTranslations();
+  setupLanguageControls();
   // Initialize date inputs with explicit format attributes for mobile compatibility
   if (startDateFilter) {
-    startDateFilter.setAttribute('placeholder', 'ทุกวัน');
+    startDateFilter.setAttribute('placeholder', t('range.all'));
     startDateFilter.setAttribute('pattern', '[0-9]{4}-[0-9]{2}-[0-9]{2}');
     // Force date input format visibility on mobile browsers
     if (!startDateFilter.value) {
-      startDateFilter.setAttribute('data-placeholder', 'ทุกวัน');
+      startDateFilter.setAttribute('data-placeholder', t('range.all'));
     }
   }
   if (endDateFilter) {
-    endDateFilter.setAttribute('placeholder', 'ทุกวัน');
+    endDateFilter.setAttribute('placeholder', t('range.all'));
     endDateFilter.setAttribute('pattern', '[0-9]{4}-[0-9]{2}-[0-9]{2}');
     if (!endDateFilter.value) {
-      endDateFilter.setAttribute('data-placeholder', 'ทุกวัน');
+      endDateFilter.setAttribute('data-placeholder', t('range.all'));
     }
   }
   CHART = makeChart(document.getElementById('chart').getContext('2d')); applyChartTheme(currentTheme()); updateThemeIcon(currentTheme());
   const mainToggle = document.getElementById('themeToggle');
   const mobileToggle = document.getElementById('themeToggleMobile');
-  function handleThemeClick() { setTheme(currentTheme() === 'dark' ? 'light' : 'dark'); showToast(`ธีมตอนนี้: ${currentTheme() === 'dark' ? 'โหมดมืด' : 'โหมดสว่าง'}`); }
+  function handleThemeClick() { setTheme(currentTheme() === 'dark' ? 'light' : 'dark'); showToast(t('theme.now', { theme: t(currentTheme() === 'dark' ? 'theme.dark' : 'theme.light') })); }
   if (mainToggle) mainToggle.addEventListener('click', handleThemeClick);
   if (mobileToggle) mobileToggle.addEventListener('click', handleThemeClick);
   const modal = document.getElementById('exportModal'); document.getElementById('exportCsvBtn').addEventListener('click', () => {
@@ -567,10 +4283,10 @@ window.addEventListener('DOMContentLoaded', async () => {
     // Set export device to match current filter selection
     const exportDevice = document.getElementById('exportDevice');
     if (exportDevice && ddDevice) {
-      exportDevice.value = ddDevice.value;
+      exportDevice.value = selectedDevice();
     }
-    modal.style.display = 'flex'; showToast('เปิดหน้าต่าง Export');
-  }); document.getElementById('exportCancel').addEventListener('click', () => { modal.style.display = 'none'; showToast('ยกเลิก Export'); }); modal.addEventListener('click', e => { if (e.target === modal) modal.style.display = 'none'; }); document.getElementById('exportConfirm').addEventListener('click', () => { const sEl = document.getElementById('exportStart'); const eEl = document.getElementById('exportEnd'); const s = sEl.value, e = eEl.value; let invalid = false;[sEl, eEl].forEach(el => { el.classList.remove('invalid'); el.closest('.field')?.classList.remove('error-state'); }); if (!s) { sEl.classList.add('invalid'); sEl.closest('.field')?.classList.add('error-state'); invalid = true; } if (!e) { eEl.classList.add('invalid'); eEl.closest('.field')?.classList.add('error-state'); invalid = true; } if (invalid) { showToast('กรุณาเลือกช่วงวันและเวลาให้ครบ'); return; } if (s > e) { eEl.classList.add('invalid'); eEl.closest('.field')?.classList.add('error-state'); showToast('วันที่สิ้นสุดต้องไม่ก่อนวันที่เริ่มต้น'); return; } modal.style.display = 'none'; exportCSVRange(s, e); showToast('กำลังดาวน์โหลดไฟล์ CSV'); });['exportStart', 'exportEnd'].forEach(id => { const el = document.getElementById(id); el.addEventListener('input', () => { el.classList.remove('invalid'); el.closest('.field')?.classList.remove('error-state'); }); }); const chips = ['rangeAll', 'rangeToday', 'range7', 'range30'].map(id => document.getElementById(id)); function setActive(btn) { chips.forEach(c => c && c.setAttribute('aria-pressed', 'false')); if (btn) btn.setAttribute('aria-pressed', 'true'); } const rangeAllBtn = document.getElementById('rangeAll'); if (rangeAllBtn) { rangeAllBtn.addEventListener('click', () => { setActive(rangeAllBtn); startDateFilter.value = ''; endDateFilter.value = ''; refresh(); showToast('เลือกช่วง: ทุกวัน (ทั้งหมด)'); }); } document.getElementById('rangeToday').addEventListener('click', () => { setActive(document.getElementById('rangeToday')); const today = dayjs().format('YYYY-MM-DD'); startDateFilter.value = today; endDateFilter.value = today; refresh(); showToast('เลือกช่วง: วันนี้'); }); document.getElementById('range7').addEventListener('click', () => { setActive(document.getElementById('range7')); startDateFilter.value = dayjs().subtract(6, 'day').format('YYYY-MM-DD'); endDateFilter.value = dayjs().format('YYYY-MM-DD'); refresh(); showToast('เลือกช่วง: 7 วันล่าสุด'); }); document.getElementById('range30').addEventListener('click', () => { setActive(document.getElementById('range30')); startDateFilter.value = dayjs().subtract(29, 'day').format('YYYY-MM-DD'); endDateFilter.value = dayjs().format('YYYY-MM-DD'); refresh(); showToast('เลือกช่วง: 30 วันล่าสุด'); }); ddDevice.addEventListener('change', () => { refresh(); const txt = ddDevice.value ? `Device: ${ddDevice.value}` : 'Device: ทั้งหมด'; showToast(txt); }); ddPoints.addEventListener('change', () => { refresh(); showToast(`กราฟล่าสุด ${ddPoints.value} จุด`); }); startDateFilter.addEventListener('change', () => { if (endDateFilter.value && startDateFilter.value > endDateFilter.value) endDateFilter.value = startDateFilter.value; refresh(); }); endDateFilter.addEventListener('change', () => { if (startDateFilter.value && startDateFilter.value > endDateFilter.value) endDateFilter.value = startDateFilter.value; refresh(); showToast(`ช่วงวันที่: ${formatDateRange()}`); }); document.querySelectorAll('.field[data-click-focus]').forEach(f => { f.addEventListener('click', e => { if (e.target.tagName === 'SELECT' || e.target.tagName === 'INPUT' || e.target.tagName === 'BUTTON') return; const ctrl = f.querySelector('select, input, button'); if (ctrl) { ctrl.focus({ preventScroll: true }); if (ctrl.tagName === 'INPUT' && (ctrl.type === 'date' || ctrl.type === 'datetime-local')) { if (typeof ctrl.showPicker === 'function') { try { ctrl.showPicker(); } catch { } } else { ctrl.click(); } } } }); }); if (rangeAllBtn) { setActive(rangeAllBtn); }
+    modal.style.display = 'flex'; showToast(t('export.opened'));
+  }); document.getElementById('exportCancel').addEventListener('click', () => { modal.style.display = 'none'; showToast(t('export.cancelled')); }); modal.addEventListener('click', e => { if (e.target === modal) modal.style.display = 'none'; }); document.getElementById('exportConfirm').addEventListener('click', () => { const sEl = document.getElementById('exportStart'); const eEl = document.getElementById('exportEnd'); const s = sEl.value, e = eEl.value; let invalid = false;[sEl, eEl].forEach(el => { el.classList.remove('invalid'); el.closest('.field')?.classList.remove('error-state'); }); if (!s) { sEl.classList.add('invalid'); sEl.closest('.field')?.classList.add('error-state'); invalid = true; } if (!e) { eEl.classList.add('invalid'); eEl.closest('.field')?.classList.add('error-state'); invalid = true; } if (invalid) { showToast(t('export.rangeRequired')); return; } if (s > e) { eEl.classList.add('invalid'); eEl.closest('.field')?.classList.add('error-state'); showToast(t('export.rangeOrder')); return; } if (!document.querySelector('#exportParams input:checked')) { showToast(t('export.paramRequired')); return; } modal.style.display = 'none'; runExport(s, e); });['exportStart', 'exportEnd'].forEach(id => { const el = document.getElementById(id); el.addEventListener('input', () => { el.classList.remove('invalid'); el.closest('.field')?.classList.remove('error-state'); }); }); const chips = ['rangeAll', 'rangeToday', 'range7', 'range30'].map(id => document.getElementById(id)); function setActive(btn) { chips.forEach(c => c && c.setAttribute('aria-pressed', 'false')); if (btn) btn.setAttribute('aria-pressed', 'true'); } const rangeAllBtn = document.getElementById('rangeAll'); if (rangeAllBtn) { rangeAllBtn.addEventListener('click', () => { setActive(rangeAllBtn); startDateFilter.value = ''; endDateFilter.value = ''; refresh(); showToast(t('range.toastAll')); }); } document.getElementById('rangeToday').addEventListener('click', () => { setActive(document.getElementById('rangeToday')); const today = dayjs().format('YYYY-MM-DD'); startDateFilter.value = today; endDateFilter.value = today; refresh(); showToast(t('range.toastToday')); }); document.getElementById('range7').addEventListener('click', () => { setActive(document.getElementById('range7')); startDateFilter.value = dayjs().subtract(6, 'day').format('YYYY-MM-DD'); endDateFilter.value = dayjs().format('YYYY-MM-DD'); refresh(); showToast(t('range.toastDays', { n: 7 })); }); document.getElementById('range30').addEventListener('click', () => { setActive(document.getElementById('range30')); startDateFilter.value = dayjs().subtract(29, 'day').format('YYYY-MM-DD'); endDateFilter.value = dayjs().format('YYYY-MM-DD'); refresh(); showToast(t('range.toastDays', { n: 30 })); }); ddDevice.addEventListener('change', () => { refresh(); showToast(t('filters.deviceToast', { device: ddDevice.value ? ddDevice.selectedOptions[0].textContent.split(' · ')[0] : t('common.all') })); }); ddPoints.addEventListener('change', () => { refresh(); showToast(t('filters.pointsToast', { n: ddPoints.value })); }); startDateFilter.addEventListener('change', () => { if (endDateFilter.value && startDateFilter.value > endDateFilter.value) endDateFilter.value = startDateFilter.value; refresh(); }); endDateFilter.addEventListener('change', () => { if (startDateFilter.value && startDateFilter.value > endDateFilter.value) endDateFilter.value = startDateFilter.value; refresh(); showToast(t('filters.rangeToast', { range: formatDateRange() })); }); document.querySelectorAll('.field[data-click-focus]').forEach(f => { f.addEventListener('click', e => { if (e.target.tagName === 'SELECT' || e.target.tagName === 'INPUT' || e.target.tagName === 'BUTTON') return; const ctrl = f.querySelector('select, input, button'); if (ctrl) { ctrl.focus({ preventScroll: true }); if (ctrl.tagName === 'INPUT' && (ctrl.type === 'date' || ctrl.type === 'datetime-local')) { if (typeof ctrl.showPicker === 'function') { try { ctrl.showPicker(); } catch { } } else { ctrl.click(); } } } }); }); if (rangeAllBtn) { setActive(rangeAllBtn); }
   // Hamburger toggle for mobile
   const hamburger = document.getElementById('menuToggle');
   const quickTools = document.getElementById('quickTools');
@@ -602,11 +4318,55 @@ window.addEventListener('DOMContentLoaded', async () => {
     // ESC to close
     document.addEventListener('keydown', e => { if (e.key === 'Escape' && document.body.classList.contains('show-tools')) closeMenu(); });
   }
+  const demoToggle = document.getElementById('demoToggle');
+  if (demoToggle) {
+    demoToggle.addEventListener('click', () => {
+      setDemoMode(!isDemoMode());
+      refresh();
+      showToast(t(isDemoMode() ? 'demo.on' : 'demo.off'));
+    });
+  }
+  updateDemoBadge();
+  setupThresholdPanel();
+  setupExportOptions();
+  const excludeFlagged = document.getElementById('summaryExcludeFlagged');
+  if (excludeFlagged) {
+    excludeFlagged.addEventListener('change', () => { summaryExcludeFlagged = excludeFlagged.checked; render(); });
+  }
+  setupCalibrationPanel();
+  setupChartControls();
+  setupTable();
+  setupReportsPanel();
+  setupDevicesPanel();
+  setupDeviceConfigPanel();
+  setupLabPanel();
+  setupDosingPanel();
+  setupAnnotations();
+  setupWqiControls();
+  setupDataSourcePanel();
+  updateSourceBadge();
+  setupUrlState();
+  setupAuthControls();
+  applyRoleGates();
+  // PWA: cache the app shell for offline use, and re-sync when the connection comes back
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').catch(error => console.error('Service worker registration failed:', error));
+  }
+  window.addEventListener('online', () => {
+    if (!window.firebase) recordsSynced.clear();
+    refresh();
+    showToast(t('network.online'));
+  });
+  window.addEventListener('offline', () => { showToast(t('network.offline')); });
+  pruneStoredReadings().catch(error => console.error('Error pruning offline readings:', error));
+  // Nothing is read from Firebase before the user has signed in
+  await ensureSignedIn();
   await refresh(); 
+  // Devices go stale without any new data arriving, so re-grade them on a timer too
+  setInterval(() => { updateDeviceHealth(); updateDeviceOptionLabels(); }, 30000);
   
   // Start realtime listeners or fallback to polling
   setupRealtimeListeners();
+  // Yesterday's / last week's report, if not built yet (runs in the background)
+  autoGenerateReports();
 });
-
-    // Return default "no data" cards for all parameters
-
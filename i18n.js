@@ -0,0 +1,919 @@
+/* ================== i18n ================== */
+// Message catalogs + locale formatting. Loaded before app.js, so constants there can
+// call t() directly; switching language or era reloads the page to apply everywhere.
+const LANG_STORAGE_KEY = 'water-quality-lang';
+const ERA_STORAGE_KEY = 'water-quality-era';
+const LANGS = {
+  th: { label: 'ไทย', locale: 'th-TH' },
+  en: { label: 'English', locale: 'en-GB' },
+};
+
+const MESSAGES = {
+  th: {
+    // ทั่วไป
+    'common.all': 'ทั้งหมด',
+    'common.allCount': 'ทั้งหมด ({n})',
+    'common.allDevices': 'ทุกอุปกรณ์',
+    'common.defaults': 'ค่าเริ่มต้น',
+    'common.defaultsAllDevices': 'ค่าเริ่มต้น (ทุกอุปกรณ์)',
+    'common.notSet': 'ไม่ระบุ',
+    'common.none': 'ไม่มี',
+    'common.cancel': 'ยกเลิก',
+    'common.close': 'ปิด',
+    'common.save': 'บันทึก',
+    'common.delete': 'ลบ',
+    'common.edit': 'แก้ไข',
+    'common.view': 'ดู',
+    'common.print': 'พิมพ์',
+    'common.device': 'อุปกรณ์',
+    'common.time': 'เวลา',
+    'common.type': 'ประเภท',
+    'common.resetDefaults': 'คืนค่าเริ่มต้น',
+    'common.deviceScope': 'ใช้กับอุปกรณ์ (ช่องว่าง = ใช้ค่าเริ่มต้น)',
+    'common.selectDevice': 'กรุณาเลือกอุปกรณ์',
+    'common.enterValue': 'กรุณากรอกค่าอย่างน้อย 1 พารามิเตอร์',
+    'common.deleteFailed': 'ลบไม่สำเร็จ',
+    'common.firebaseSaveFailed': 'บันทึก Firebase ไม่สำเร็จ – เก็บไว้ในเบราว์เซอร์นี้แทน',
+    'common.noDataInRange': 'ไม่มีข้อมูลในช่วงที่เลือก',
+    'common.noData': 'ไม่มีข้อมูล',
+    'common.demoValue': 'ค่าสุ่ม (Demo mode)',
+    'common.ago': '{d} ที่แล้ว',
+    'common.perDay': '{v}/วัน',
+    'common.printPdf': 'พิมพ์ / บันทึกเป็น PDF',
+    'common.demoNote': 'DEMO mode: ค่า EC/TDS ที่ว่างถูกแทนด้วยค่าสุ่ม',
+
+    // Header / ภาษา / ธีม
+    'header.menu': 'เมนูด่วน',
+    'header.updated': 'updated {time}',
+    'header.offline': 'offline – data as of {time}',
+    'header.offlineEmpty': 'offline – ไม่มีข้อมูลที่บันทึกไว้',
+    'lang.label': 'ภาษา',
+    'era.label': 'พ.ศ.',
+    'era.title': 'แสดงปีเป็นพุทธศักราช (พ.ศ.)',
+    'theme.toggle': 'สลับธีม',
+    'theme.toggleTitle': 'สลับโหมดขาว/ดำ',
+    'theme.toLight': 'สลับเป็นโหมดสว่าง',
+    'theme.toDark': 'สลับเป็นโหมดมืด',
+    'theme.now': 'ธีมตอนนี้: {theme}',
+    'theme.dark': 'โหมดมืด',
+    'theme.light': 'โหมดสว่าง',
+    'demo.badge': 'DEMO · ค่าสุ่ม',
+    'demo.badgeTitle': 'ค่า EC/TDS ที่ว่างถูกแทนด้วยค่าสุ่ม',
+    'demo.toggleTitle': 'เติมค่า EC/TDS ที่ว่างด้วยค่าสุ่ม (สำหรับสาธิตเท่านั้น)',
+    'demo.on': 'เปิด Demo mode: ค่า EC/TDS ที่ว่างจะถูกสุ่ม',
+    'demo.off': 'ปิด Demo mode: แสดงเฉพาะข้อมูลจริง',
+    'network.online': 'กลับมาออนไลน์แล้ว กำลังโหลดข้อมูลใหม่',
+    'network.offline': 'ออฟไลน์: แสดงข้อมูลล่าสุดที่บันทึกไว้',
+    'network.error': 'โหลดข้อมูลไม่สำเร็จ (HTTP {status})',
+    'realtime.update': 'ข้อมูลอัปเดตแบบ Real-time',
+
+    // หัวข้อของแต่ละส่วน
+    'sections.parameters': 'พารามิเตอร์คุณภาพน้ำ',
+    'sections.deviceStatus': 'สถานะอุปกรณ์',
+    'sections.sites': 'ภาพรวมไซต์',
+    'sections.chart': 'กราฟ Real-time',
+    'sections.summary': 'สรุปผล',
+    'sections.uplinks': 'ข้อมูลที่ส่งเข้ามาล่าสุด',
+
+    // ตัวกรอง / ช่วงเวลา
+    'range.group': 'ช่วงเวลาแบบด่วน',
+    'range.all': 'ทุกวัน',
+    'range.today': 'วันนี้',
+    'range.days': '{n} วัน',
+    'range.toastAll': 'เลือกช่วง: ทุกวัน (ทั้งหมด)',
+    'range.toastToday': 'เลือกช่วง: วันนี้',
+    'range.toastDays': 'เลือกช่วง: {n} วันล่าสุด',
+    'filters.region': 'ตัวกรองข้อมูล',
+    'filters.device': 'เลือกอุปกรณ์',
+    'filters.points': 'Points (ตัดจำนวนจุดบนกราฟ)',
+    'filters.lastPoints': 'ล่าสุด {n} จุด',
+    'filters.start': 'วันที่เริ่มต้น',
+    'filters.end': 'วันที่สิ้นสุด',
+    'filters.deviceToast': 'Device: {device}',
+    'filters.pointsToast': 'กราฟล่าสุด {n} จุด',
+    'filters.rangeToast': 'ช่วงวันที่: {range}',
+
+    // KPI / WQI
+    'wqi.profile': 'โปรไฟล์การใช้งาน',
+    'wqi.aquaculture': 'เลี้ยงสัตว์น้ำ',
+    'wqi.hydroponics': 'ไฮโดรโปนิกส์',
+    'wqi.drinking': 'น้ำดื่ม',
+    'wqi.good': 'เหมาะสม',
+    'wqi.fair': 'พอใช้',
+    'wqi.poor': 'ควรระวัง',
+    'wqi.bad': 'ไม่เหมาะสม',
+    'wqi.worst': ' · ดึงคะแนนลงมากที่สุด: {param}',
+    'wqi.partial': ' · ใช้ {used}/{total} ค่า (ที่เหลือไม่มีข้อมูลหรือผิดปกติ)',
+    'wqi.range': 'เป้าหมาย {lo}–{hi} · ยอมรับได้ {min}–{max}',
+
+    // สถานะอุปกรณ์
+    'health.noDevices': 'ยังไม่พบอุปกรณ์',
+    'health.gaps': '{n} ช่วง · ยาวสุด {longest} · รวม {total}',
+    'health.online': 'ออนไลน์',
+    'health.stale': 'ล่าช้า',
+    'health.offline': 'ออฟไลน์',
+    'health.lastSeen': 'ส่งข้อมูลล่าสุด',
+    'health.interval': 'รอบการส่ง (ที่คาดไว้ / จริง)',
+    'health.gapsLabel': 'ช่วงที่ข้อมูลขาด',
+    'health.quality': 'คุณภาพข้อมูล',
+    'health.rssi': 'สัญญาณ Wi-Fi (RSSI)',
+    'health.rssiExcellent': 'ดีมาก',
+    'health.rssiGood': 'ดี',
+    'health.rssiFair': 'พอใช้',
+    'health.rssiWeak': 'อ่อน',
+    'health.rssiPoor': 'อ่อนมาก',
+    'devices.button': 'อุปกรณ์',
+    'devices.open': 'ข้อมูลอุปกรณ์ / ไซต์',
+    'devices.title': 'ข้อมูลอุปกรณ์',
+    'devices.name': 'ชื่อที่แสดง',
+    'devices.site': 'ไซต์ / บ่อ',
+    'devices.lat': 'ละติจูด',
+    'devices.lng': 'ลองจิจูด',
+    'devices.sensors': 'เซนเซอร์ที่ติดตั้ง (ไม่เลือก = ทั้งหมด)',
+    'devices.interval': 'รอบส่งข้อมูล (นาที)',
+    'devices.saved': 'บันทึกข้อมูล {device} แล้ว',
+    'devices.invalidCoords': 'ต้องกรอกละติจูด (-90 ถึง 90) และลองจิจูด (-180 ถึง 180) คู่กัน',
+    'devices.invalidInterval': 'รอบส่งข้อมูลต้องมากกว่า 0 นาที',
+    'config.open': 'ตั้งค่าอุปกรณ์ระยะไกล / สั่งงาน',
+    'config.title': 'ตั้งค่าอุปกรณ์ระยะไกล',
+    'config.setting': 'ค่าที่ตั้ง',
+    'config.desired': 'ต้องการ',
+    'config.reported': 'อุปกรณ์รายงาน',
+    'config.save': 'ส่งค่าที่ต้องการ',
+    'config.commands': 'คำสั่ง',
+    'config.calParam': 'พารามิเตอร์ที่ปรับเทียบ',
+    'config.reference': 'ค่าน้ำยามาตรฐาน',
+    'config.field.sample_interval_s': 'รอบอ่านเซนเซอร์ (วินาที)',
+    'config.field.upload_interval_s': 'รอบส่งข้อมูล (วินาที)',
+    'config.field.wifi_report': 'ส่งค่าสัญญาณ Wi‑Fi (RSSI)',
+    'config.field.ph_offset': 'pH offset',
+    'config.field.ec_k': 'ค่าคงที่เซลล์ EC (K)',
+    'config.field.tds_factor': 'ตัวคูณ TDS',
+    'config.on': 'เปิด',
+    'config.off': 'ปิด',
+    'config.inSync': 'อุปกรณ์ใช้ค่านี้แล้ว',
+    'config.notApplied': 'รออุปกรณ์นำค่าไปใช้',
+    'config.desiredAt': 'ส่งค่าล่าสุด {time}',
+    'config.noDesired': 'ยังไม่เคยส่งค่า',
+    'config.reportedAt': 'อุปกรณ์รายงานเมื่อ {time}',
+    'config.noReported': 'อุปกรณ์ยังไม่รายงานค่า',
+    'config.noCommands': 'ยังไม่มีคำสั่ง',
+    'config.cmd.reboot': 'รีบูต',
+    'config.cmd.readNow': 'อ่านค่าทันที',
+    'config.cmd.calibrate': 'เริ่มปรับเทียบ',
+    'config.status.pending': 'รอดำเนินการ',
+    'config.status.acked': 'อุปกรณ์รับแล้ว',
+    'config.status.done': 'สำเร็จ',
+    'config.status.failed': 'ล้มเหลว',
+    'config.status.cancelled': 'ยกเลิกแล้ว',
+    'config.status.expired': 'หมดเวลา (อุปกรณ์ไม่ตอบ)',
+    'config.needsFirebase': 'ต้องใช้แหล่งข้อมูล Firebase',
+    'config.invalid': 'มีค่าที่อยู่นอกช่วงที่อนุญาต',
+    'config.saved': 'ส่งค่าที่ต้องการไปยัง {device} แล้ว',
+    'config.sent': 'ส่งคำสั่ง {command} ไปยัง {device} แล้ว',
+    'config.finished': '{device}: {command} {status}',
+    'config.failed': 'เขียนลง Firebase ไม่สำเร็จ',
+    'config.confirmReboot': 'รีบูต {device}?',
+    'config.referenceRequired': 'กรุณาระบุค่าน้ำยามาตรฐาน',
+    'sites.all': 'ทั้งไซต์ {site} ({n})',
+    'sites.none': 'ไม่ระบุไซต์',
+    'sites.kpi': '{site} · เฉลี่ย {n} อุปกรณ์',
+    'sites.devices': '{n} อุปกรณ์',
+    'sites.average': 'เฉลี่ยทั้งไซต์',
+    'sites.map': 'แผนที่',
+    'sites.notInstalled': 'ไม่ได้ติดตั้งเซนเซอร์นี้',
+    'sites.select': 'คลิกเพื่อดูอุปกรณ์นี้',
+    'anomaly.flatline': 'ค่าคงที่',
+    'anomaly.spike': 'spike',
+    'anomaly.clamp': 'ชนขอบเขต',
+    'anomaly.ratio': 'TDS/EC ผิดปกติ',
+
+    // กราฟ
+    'chart.mode': 'โหมดกราฟ',
+    'chart.allParams': 'ทุกพารามิเตอร์',
+    'chart.compare': 'เปรียบเทียบอุปกรณ์',
+    'chart.compareParam': 'พารามิเตอร์ที่เปรียบเทียบ',
+    'chart.agg': 'การรวมข้อมูลบนกราฟ',
+    'chart.aggAuto': 'อัตโนมัติ',
+    'chart.aggRaw': 'Raw (ตาม Points)',
+    'chart.agg5m': 'เฉลี่ย 5 นาที',
+    'chart.agg1h': 'รายชั่วโมง',
+    'chart.agg1d': 'รายวัน',
+    'chart.focusReset': '✕ ดูทั้งช่วง',
+    'chart.toast': 'กราฟ: {label}',
+    'chart.band': '(ต่ำสุด {min} – สูงสุด {max}, n={n})',
+    'forecast.label': 'พยากรณ์',
+    'forecast.horizon': 'ช่วงพยากรณ์',
+    'forecast.off': 'ไม่พยากรณ์',
+    'forecast.hours': 'พยากรณ์ {h} ชม.',
+    'forecast.exceed': '{param} คาดว่าจะเกิน {limit} {unit} ในอีก ~{d}',
+    'forecast.below': '{param} คาดว่าจะต่ำกว่า {limit} {unit} ในอีก ~{d}',
+    'forecast.expected': 'อีก {h} ชม. คาดว่า ~{value} ±{pm} {unit}',
+    'chart.compareToast': 'เปรียบเทียบอุปกรณ์: {param}',
+
+    // Summary
+    'summary.excludeFlagged': 'ไม่นับจุดที่ผิดปกติ',
+    'summary.latestPoints': '{n} จุดล่าสุด',
+    'summary.today': 'วันนี้ vs เมื่อวาน',
+    'summary.lastDays': '{days} วันล่าสุด vs {days} วันก่อนหน้า',
+    'summary.custom': 'ช่วงที่เลือก ({days} วัน) vs {days} วันก่อนหน้า',
+    'summary.noPrevious': 'ไม่มีข้อมูลช่วงก่อน',
+    'summary.previous': 'ช่วงก่อน: {v}',
+    'summary.avg': 'เฉลี่ย',
+    'summary.median': 'มัธยฐาน',
+    'summary.sd': 'SD',
+    'summary.min': 'ต่ำสุด',
+    'summary.max': 'สูงสุด',
+    'summary.trend': 'แนวโน้ม',
+
+    // ตาราง
+    'table.search': 'ค้นหา (เวลา, device, ค่า, flags)',
+    'table.searchLabel': 'ค้นหาในตาราง',
+    'table.filter': 'กรอง {col}',
+    'table.filterText': 'ค้นหา',
+    'table.first': 'หน้าแรก',
+    'table.prev': 'หน้าก่อน',
+    'table.next': 'หน้าถัดไป',
+    'table.last': 'หน้าสุดท้าย',
+    'table.pageSize': 'จำนวนแถวต่อหน้า',
+    'table.rowsPerPage': '{n} แถว/หน้า',
+    'table.pageInfo': '{from}–{to} จาก {total} แถว{filtered} · หน้า {page}/{pages}',
+    'table.filteredFrom': ' (กรองจาก {n})',
+    'table.noMatch': 'ไม่มีแถวที่ตรงกับตัวกรอง',
+    'table.showOnChart': 'คลิกเพื่อดูจุดนี้บนกราฟ',
+
+    // Export
+    'export.open': 'ส่งออกข้อมูล (CSV / JSON / XLSX / รายงาน)',
+    'export.format': 'รูปแบบไฟล์',
+    'export.params': 'พารามิเตอร์',
+    'export.start': 'เริ่ม (รวม)',
+    'export.end': 'สิ้นสุด (รวม)',
+    'export.opened': 'เปิดหน้าต่าง Export',
+    'export.cancelled': 'ยกเลิก Export',
+    'export.rangeRequired': 'กรุณาเลือกช่วงวันและเวลาให้ครบ',
+    'export.rangeOrder': 'วันที่สิ้นสุดต้องไม่ก่อนวันที่เริ่มต้น',
+    'export.paramRequired': 'กรุณาเลือกอย่างน้อย 1 พารามิเตอร์',
+    'export.offline': 'ออฟไลน์: ส่งออกเฉพาะข้อมูลที่โหลดไว้แล้ว',
+    'export.loading': 'กำลังโหลดข้อมูลสำหรับ {format}…',
+    'export.done': 'ส่งออก {n} แถวเป็น {format}',
+    'export.failed': 'ส่งออกไม่สำเร็จ',
+    'export.period': 'ช่วงเวลา: {start} – {end}',
+    'export.generatedAt': 'สร้างเมื่อ {time}',
+
+    // เกณฑ์แจ้งเตือน
+    'alarm.open': 'ตั้งค่าเกณฑ์แจ้งเตือน',
+    'alarm.title': 'เกณฑ์แจ้งเตือน',
+    'alarm.rateHeader': 'Rate (/ชม.)',
+    'alarm.sound': 'เสียงแจ้งเตือน',
+    'alarm.clearLog': 'ล้างรายการที่จบแล้ว',
+    'alarm.notify': 'แจ้งเตือนผ่านเบราว์เซอร์',
+    'alarm.log': 'ประวัติการแจ้งเตือน',
+    'alarm.notificationTitle': 'แจ้งเตือนคุณภาพน้ำ',
+    'alarm.rate': 'เปลี่ยนเร็วเกิน {limit}/ชม. ({value}/ชม.)',
+    'alarm.max': 'สูงกว่า {limit} ({value})',
+    'alarm.min': 'ต่ำกว่า {limit} ({value})',
+    'alarm.cleared': '✅ {device}: {param} กลับสู่ช่วงปกติ',
+    'alarm.empty': 'ยังไม่มีการแจ้งเตือน',
+    'alarm.started': 'เริ่ม {time}',
+    'alarm.ended': 'หายไป {time}',
+    'alarm.ongoing': 'ยังเกินเกณฑ์',
+    'alarm.deviceDefaults': 'ใช้เกณฑ์ค่าเริ่มต้นสำหรับ {device}',
+    'alarm.reset': 'คืนค่าเกณฑ์เริ่มต้น',
+    'alarm.minMax': '{param}: ค่าต่ำสุดต้องไม่มากกว่าค่าสูงสุด',
+    'alarm.saved': 'บันทึกเกณฑ์แจ้งเตือนแล้ว',
+
+    // ปรับเทียบ
+    'calibration.title': 'ปรับเทียบเซนเซอร์',
+    'calibration.tempComp': 'ชดเชย EC ที่ 25 °C (ใช้ค่า Temp)',
+    'calibration.alpha': 'α (ต่อ °C)',
+    'calibration.deriveTds': 'คำนวณ TDS จาก EC เมื่ออุปกรณ์ไม่ส่งค่า',
+    'calibration.history': 'ประวัติการปรับเทียบ',
+    'calibration.fromEc': 'จาก EC',
+    'calibration.none': 'ไม่ปรับค่า',
+    'calibration.empty': 'ยังไม่มีการเปลี่ยนแปลง',
+    'calibration.removed': 'ลบโปรไฟล์ (ใช้ค่าเริ่มต้น)',
+    'calibration.before': ' · เดิม: {profile}',
+    'calibration.deviceDefaults': '{device}: ใช้การปรับเทียบค่าเริ่มต้น',
+    'calibration.cleared': 'ล้างการปรับเทียบค่าเริ่มต้น',
+    'calibration.zeroSlope': '{param}: slope ต้องไม่เป็น 0',
+    'calibration.saved': 'บันทึกการปรับเทียบแล้ว',
+
+    // เหตุการณ์
+    'dosing.open': 'คำนวณการเติมปุ๋ย / น้ำตามค่า EC เป้าหมาย',
+    'dosing.title': 'ผู้ช่วยคำนวณปุ๋ย (สารละลายธาตุอาหาร)',
+    'dosing.volume': 'ปริมาตรน้ำในถัง (ลิตร)',
+    'dosing.capacity': 'ความจุถัง (ลิตร, ไม่บังคับ)',
+    'dosing.strength': 'ความแรงหัวเชื้อ (µS/cm ต่อ 1 mL/L)',
+    'dosing.waterEc': 'EC น้ำเปล่าที่ใช้เติม (µS/cm)',
+    'dosing.preset': 'พืช (ค่า EC เป้าหมาย)',
+    'dosing.customTarget': 'กำหนดเอง',
+    'dosing.target': 'ค่าเป้าหมาย',
+    'dosing.record': 'บันทึกว่าเติมแล้ว',
+    'dosing.history': 'ประวัติการเติม (คาดการณ์ / วัดจริง)',
+    'dosing.crop.lettuce': 'ผักสลัด',
+    'dosing.crop.kale': 'คะน้า / ผักใบ',
+    'dosing.crop.basil': 'โหระพา / กะเพรา',
+    'dosing.crop.strawberry': 'สตรอว์เบอร์รี',
+    'dosing.crop.cucumber': 'แตงกวา',
+    'dosing.crop.tomato': 'มะเขือเทศ',
+    'dosing.current': 'ล่าสุด: EC {ec} µS/cm · TDS {tds} ppm · {time}',
+    'dosing.noReading': 'ยังไม่มีค่า EC ของอุปกรณ์นี้',
+    'dosing.incomplete': 'กรอกปริมาตร ความแรงหัวเชื้อ EC น้ำเปล่า และค่าเป้าหมายให้ครบ',
+    'dosing.addConcentrate': 'เติมหัวเชื้อ {ml} mL',
+    'dosing.addWater': 'เติมน้ำเปล่า {l} ลิตร',
+    'dosing.replace': 'ถ่ายน้ำออก {l} ลิตร แล้วเติมน้ำเปล่าเท่าเดิม',
+    'dosing.plan': '{action} → คาดว่า EC ~{ec} µS/cm',
+    'dosing.onTarget': 'EC อยู่ที่ค่าเป้าหมายแล้ว (±2%)',
+    'dosing.unreachable': 'ค่าเป้าหมายต่ำกว่า EC ของน้ำเปล่าที่ใช้เติม',
+    'dosing.full': 'ต้องเติมหัวเชื้อ {ml} mL แต่ถังจะล้น ถ่ายน้ำออกก่อน',
+    'dosing.note': 'เป้าหมาย EC {target} · ถัง {volume} ลิตร',
+    'dosing.predicted': 'EC {from} → คาดว่า {ec}',
+    'dosing.actual': 'วัดได้ {ec} ({delta}%)',
+    'dosing.waiting': 'รอค่าหลังผสม 15–75 นาที',
+    'dosing.noDoses': 'ยังไม่มีการบันทึกการเติม',
+    'annotation.mode': 'บันทึกเหตุการณ์',
+    'annotation.modeTitle': 'คลิกบนกราฟเพื่อบันทึกเหตุการณ์ (เปลี่ยนน้ำ, ใส่ปุ๋ย, ล้างหัววัด)',
+    'annotation.heading': 'เหตุการณ์',
+    'annotation.add': '+ เพิ่ม',
+    'annotation.label': 'ชื่อ (ว่าง = ตามประเภท)',
+    'annotation.note': 'รายละเอียด',
+    'annotation.water': 'เปลี่ยนน้ำ',
+    'annotation.fertilizer': 'ใส่ปุ๋ย / สารเคมี',
+    'annotation.probe': 'ทำความสะอาดหัววัด',
+    'annotation.dose': 'เติมสารละลาย / น้ำ',
+    'annotation.other': 'อื่นๆ',
+    'annotation.event': 'เหตุการณ์',
+    'annotation.show': 'ดูบนกราฟ',
+    'annotation.empty': 'ยังไม่มีเหตุการณ์ในช่วงนี้',
+    'annotation.modeOn': 'คลิกจุดบนกราฟเพื่อบันทึกเหตุการณ์',
+    'annotation.modeOff': 'ปิดโหมดบันทึกเหตุการณ์',
+    'annotation.timeRequired': 'กรุณาระบุเวลา',
+    'annotation.saved': 'บันทึกเหตุการณ์: {title}',
+    'annotation.confirmDelete': 'ลบเหตุการณ์ "{title}"?',
+
+    // ผลแล็บ
+    'lab.open': 'บันทึกผลแล็บ / เทียบกับเซนเซอร์',
+    'lab.title': 'ผลแล็บ (ตัวอย่างน้ำ)',
+    'lab.time': 'เวลาเก็บตัวอย่าง',
+    'lab.technician': 'ผู้ตรวจ',
+    'lab.note': 'หมายเหตุ',
+    'lab.toFirebase': 'บันทึกลง Firebase (/devices/<id>/lab_samples) ไม่เลือก = เก็บในเบราว์เซอร์นี้',
+    'lab.save': 'บันทึกผลแล็บ',
+    'lab.compare': 'เทียบเซนเซอร์กับแล็บ',
+    'lab.filter': 'แสดงอุปกรณ์',
+    'lab.noSensor': 'ไม่มีค่าเซนเซอร์ (±30 นาที)',
+    'lab.empty': 'ยังไม่มีผลแล็บ',
+    'lab.recalibrate': '{device}: {param} ต่างจากแล็บ {delta} – ควรปรับเทียบ (ปรับ offset เพิ่ม {offset})',
+    'lab.allOk': 'เซนเซอร์ทุกตัวอยู่ในเกณฑ์เมื่อเทียบกับผลแล็บล่าสุด',
+    'lab.noMatch': 'ยังไม่มีผลแล็บที่จับคู่กับค่าเซนเซอร์ได้',
+    'lab.timeRequired': 'กรุณาระบุเวลาเก็บตัวอย่าง',
+    'lab.saved': 'บันทึกผลแล็บ {device} แล้ว',
+    'lab.confirmDelete': 'ลบผลแล็บ {device} {time}?',
+
+    // รายงาน
+    'reports.title': 'รายงานรายวัน / รายสัปดาห์',
+    'reports.day': 'วันที่ (สัปดาห์ = สัปดาห์ที่มีวันนี้ เริ่มวันจันทร์)',
+    'reports.generate': 'สร้างรายงาน',
+    'reports.auto': 'สร้างอัตโนมัติเมื่อเปิดแดชบอร์ดหลังจบช่วง:',
+    'reports.frame': 'รายงาน',
+    'reports.daily': 'รายวัน',
+    'reports.weekly': 'รายสัปดาห์',
+    'reports.noData': 'ไม่มีข้อมูลในช่วงนี้',
+    'reports.interval': 'ส่งทุก ~{d}',
+    'reports.excursionRate': 'เปลี่ยนเร็วเกิน {limit}/ชม. (สูงสุด {peak}/ชม.)',
+    'reports.excursionMax': 'สูงกว่า {limit} (สูงสุด {peak})',
+    'reports.excursionMin': 'ต่ำกว่า {limit} (ต่ำสุด {peak})',
+    'reports.readingsFrom': '{readings} readings จาก {devices} อุปกรณ์',
+    'reports.autoDone': 'สร้างรายงาน{period}แล้ว ({n} readings)',
+    'reports.done': 'สร้างรายงานแล้ว ({n} readings)',
+    'reports.generating': 'กำลังสร้างรายงาน…',
+    'reports.failed': 'สร้างรายงานไม่สำเร็จ',
+    'reports.pdfLoading': 'กำลังสร้าง PDF…',
+    'reports.pdfFailed': 'สร้าง PDF ไม่สำเร็จ – ใช้ "พิมพ์" แล้วเลือกบันทึกเป็น PDF แทน',
+    'reports.empty': 'ยังไม่มีรายงาน',
+    'reports.item': '{devices} อุปกรณ์ · {readings} readings · alarm {excursions} · สร้าง {time}',
+    'reports.delete': 'ลบรายงาน',
+    'reports.selectDay': 'กรุณาเลือกวันที่',
+    'reports.documentTitle': 'รายงานคุณภาพน้ำ',
+    'reports.parameter': 'พารามิเตอร์',
+    'reports.chart': 'กราฟ',
+    'reports.summary': 'สรุปผล',
+    'reports.readings': '{n} readings',
+    'reports.readingsHeader': 'จำนวน readings',
+    'reports.excursions': 'ช่วงที่เกินเกณฑ์',
+    'reports.gaps': 'ช่วงที่ข้อมูลขาด',
+
+    // เข้าสู่ระบบ / สิทธิ์
+    'auth.title': 'เข้าสู่ระบบ',
+    'auth.email': 'อีเมล',
+    'auth.password': 'รหัสผ่าน',
+    'auth.signIn': 'เข้าสู่ระบบ',
+    'auth.signOut': 'ออกจากระบบ',
+    'auth.source': 'แหล่งข้อมูล',
+    'auth.failed': 'อีเมลหรือรหัสผ่านไม่ถูกต้อง',
+    'auth.network': 'เชื่อมต่อระบบยืนยันตัวตนไม่ได้ (ตรวจสอบเครือข่าย / Auth emulator)',
+    'auth.denied': 'บัญชีนี้ไม่มีสิทธิ์อ่านข้อมูล (ให้ผู้ดูแลกำหนดบทบาท)',
+    'auth.role.viewer': 'ผู้ดู',
+    'auth.role.operator': 'ผู้ปฏิบัติงาน',
+    'auth.role.admin': 'ผู้ดูแล',
+
+    // แหล่งข้อมูล / นำเข้า
+    'source.open': 'แหล่งข้อมูล (Firebase / นำเข้าไฟล์)',
+    'source.title': 'แหล่งข้อมูล',
+    'source.url': 'Database URL (ว่าง = ค่าเริ่มต้น, emulator: http://127.0.0.1:9000/?ns=<namespace>)',
+    'source.emulator': 'ใช้ Firebase Emulator (127.0.0.1:9000)',
+    'source.fileOption': 'ไฟล์ที่นำเข้า (CSV / JSON, เก็บในเบราว์เซอร์)',
+    'source.file': 'ไฟล์ที่นำเข้า',
+    'source.badge': 'source: {name}',
+    'source.save': 'บันทึกและโหลดใหม่',
+    'source.invalidUrl': 'URL ไม่ถูกต้อง',
+    'source.changed': 'เปลี่ยนแหล่งข้อมูลแล้ว กำลังโหลดใหม่',
+    'import.heading': 'นำเข้าไฟล์',
+    'import.file': 'ไฟล์ CSV / JSON (เช่นไฟล์ที่ Export ไว้)',
+    'import.device': 'Device (ถ้าไฟล์ไม่มีคอลัมน์ Device)',
+    'import.run': 'นำเข้า',
+    'import.clear': 'ลบข้อมูลที่นำเข้า',
+    'import.selectFile': 'กรุณาเลือกไฟล์ CSV หรือ JSON',
+    'import.status': 'นำเข้า {n} readings',
+    'import.done': 'นำเข้า {n} readings แล้ว',
+    'import.failed': 'นำเข้าไม่สำเร็จ: {error}',
+    'import.cleared': 'ลบข้อมูลที่นำเข้าแล้ว',
+  },
+  en: {
+    // General
+    'common.all': 'All',
+    'common.allCount': 'All ({n})',
+    'common.allDevices': 'All devices',
+    'common.defaults': 'Defaults',
+    'common.defaultsAllDevices': 'Defaults (all devices)',
+    'common.notSet': 'not set',
+    'common.none': 'None',
+    'common.cancel': 'Cancel',
+    'common.close': 'Close',
+    'common.save': 'Save',
+    'common.delete': 'Delete',
+    'common.edit': 'Edit',
+    'common.view': 'View',
+    'common.print': 'Print',
+    'common.device': 'Device',
+    'common.time': 'Time',
+    'common.type': 'Type',
+    'common.resetDefaults': 'Reset to defaults',
+    'common.deviceScope': 'Applies to device (blank = defaults)',
+    'common.selectDevice': 'Please select a device',
+    'common.enterValue': 'Enter at least one parameter',
+    'common.deleteFailed': 'Delete failed',
+    'common.firebaseSaveFailed': 'Could not save to Firebase – kept in this browser instead',
+    'common.noDataInRange': 'No data in the selected range',
+    'common.noData': 'no data',
+    'common.demoValue': 'Random value (Demo mode)',
+    'common.ago': '{d} ago',
+    'common.perDay': '{v}/day',
+    'common.printPdf': 'Print / save as PDF',
+    'common.demoNote': 'DEMO mode: empty EC/TDS values were replaced with random values',
+
+    // Header / language / theme
+    'header.menu': 'Quick menu',
+    'header.updated': 'updated {time}',
+    'header.offline': 'offline – data as of {time}',
+    'header.offlineEmpty': 'offline – no saved data',
+    'lang.label': 'Language',
+    'era.label': 'BE',
+    'era.title': 'Show years in the Buddhist era (BE)',
+    'theme.toggle': 'Toggle theme',
+    'theme.toggleTitle': 'Toggle light/dark mode',
+    'theme.toLight': 'Switch to light mode',
+    'theme.toDark': 'Switch to dark mode',
+    'theme.now': 'Theme: {theme}',
+    'theme.dark': 'dark mode',
+    'theme.light': 'light mode',
+    'demo.badge': 'DEMO · random',
+    'demo.badgeTitle': 'Empty EC/TDS values are replaced with random values',
+    'demo.toggleTitle': 'Fill empty EC/TDS values with random values (demo only)',
+    'demo.on': 'Demo mode on: empty EC/TDS values are randomised',
+    'demo.off': 'Demo mode off: showing real data only',
+    'network.online': 'Back online, reloading data',
+    'network.offline': 'Offline: showing the last saved data',
+    'network.error': 'Loading data failed (HTTP {status})',
+    'realtime.update': 'Data updated in real time',
+
+    // Page sections
+    'sections.parameters': 'Water Quality Parameters',
+    'sections.deviceStatus': 'Device Status',
+    'sections.sites': 'Site Overview',
+    'sections.chart': 'Live Chart',
+    'sections.summary': 'Summary',
+    'sections.uplinks': 'Recent Uplinks',
+
+    // Filters / ranges
+    'range.group': 'Quick ranges',
+    'range.all': 'All days',
+    'range.today': 'Today',
+    'range.days': '{n} days',
+    'range.toastAll': 'Range: all days',
+    'range.toastToday': 'Range: today',
+    'range.toastDays': 'Range: last {n} days',
+    'filters.region': 'Data filters',
+    'filters.device': 'Select device',
+    'filters.points': 'Points (chart point limit)',
+    'filters.lastPoints': 'Latest {n} points',
+    'filters.start': 'Start date',
+    'filters.end': 'End date',
+    'filters.deviceToast': 'Device: {device}',
+    'filters.pointsToast': 'Chart: latest {n} points',
+    'filters.rangeToast': 'Date range: {range}',
+
+    // KPI / WQI
+    'wqi.profile': 'Use-case profile',
+    'wqi.aquaculture': 'Aquaculture',
+    'wqi.hydroponics': 'Hydroponics',
+    'wqi.drinking': 'Drinking water',
+    'wqi.good': 'Good',
+    'wqi.fair': 'Fair',
+    'wqi.poor': 'Marginal',
+    'wqi.bad': 'Unsuitable',
+    'wqi.worst': ' · biggest drag: {param}',
+    'wqi.partial': ' · {used}/{total} values used (the rest are missing or flagged)',
+    'wqi.range': 'target {lo}–{hi} · acceptable {min}–{max}',
+
+    // Device status
+    'health.noDevices': 'No devices found yet',
+    'health.gaps': '{n} gaps · longest {longest} · total {total}',
+    'health.online': 'online',
+    'health.stale': 'stale',
+    'health.offline': 'offline',
+    'health.lastSeen': 'Last seen',
+    'health.interval': 'Interval (expected / actual)',
+    'health.gapsLabel': 'Data gaps',
+    'health.quality': 'Data quality',
+    'health.rssi': 'Wi-Fi RSSI',
+    'health.rssiExcellent': 'excellent',
+    'health.rssiGood': 'good',
+    'health.rssiFair': 'fair',
+    'health.rssiWeak': 'weak',
+    'health.rssiPoor': 'poor',
+    'devices.button': 'Devices',
+    'devices.open': 'Device / site details',
+    'devices.title': 'Device details',
+    'devices.name': 'Display name',
+    'devices.site': 'Site / pond',
+    'devices.lat': 'Latitude',
+    'devices.lng': 'Longitude',
+    'devices.sensors': 'Installed sensors (none selected = all)',
+    'devices.interval': 'Reporting interval (minutes)',
+    'devices.saved': 'Saved details for {device}',
+    'devices.invalidCoords': 'Enter latitude (-90 to 90) and longitude (-180 to 180) together',
+    'devices.invalidInterval': 'Reporting interval must be more than 0 minutes',
+    'config.open': 'Remote device settings / commands',
+    'config.title': 'Remote device settings',
+    'config.setting': 'Setting',
+    'config.desired': 'Desired',
+    'config.reported': 'Reported',
+    'config.save': 'Send desired settings',
+    'config.commands': 'Commands',
+    'config.calParam': 'Parameter to calibrate',
+    'config.reference': 'Reference solution value',
+    'config.field.sample_interval_s': 'Sampling interval (s)',
+    'config.field.upload_interval_s': 'Upload interval (s)',
+    'config.field.wifi_report': 'Report Wi‑Fi signal (RSSI)',
+    'config.field.ph_offset': 'pH offset',
+    'config.field.ec_k': 'EC cell constant (K)',
+    'config.field.tds_factor': 'TDS factor',
+    'config.on': 'on',
+    'config.off': 'off',
+    'config.inSync': 'Applied by the device',
+    'config.notApplied': 'Waiting for the device to apply it',
+    'config.desiredAt': 'Last sent {time}',
+    'config.noDesired': 'Nothing sent yet',
+    'config.reportedAt': 'device reported {time}',
+    'config.noReported': 'device has not reported yet',
+    'config.noCommands': 'No commands yet',
+    'config.cmd.reboot': 'Reboot',
+    'config.cmd.readNow': 'Read now',
+    'config.cmd.calibrate': 'Start calibration',
+    'config.status.pending': 'pending',
+    'config.status.acked': 'acknowledged',
+    'config.status.done': 'done',
+    'config.status.failed': 'failed',
+    'config.status.cancelled': 'cancelled',
+    'config.status.expired': 'expired (no answer)',
+    'config.needsFirebase': 'Needs the Firebase data source',
+    'config.invalid': 'Some values are out of the allowed range',
+    'config.saved': 'Desired settings sent to {device}',
+    'config.sent': 'Sent {command} to {device}',
+    'config.finished': '{device}: {command} {status}',
+    'config.failed': 'Writing to Firebase failed',
+    'config.confirmReboot': 'Reboot {device}?',
+    'config.referenceRequired': 'Enter the reference solution value',
+    'sites.all': 'Whole site {site} ({n})',
+    'sites.none': 'No site',
+    'sites.kpi': '{site} · average of {n} device(s)',
+    'sites.devices': '{n} device(s)',
+    'sites.average': 'Site average',
+    'sites.map': 'map',
+    'sites.notInstalled': 'Sensor not installed',
+    'sites.select': 'Click to view this device',
+    'anomaly.flatline': 'flatline',
+    'anomaly.spike': 'spike',
+    'anomaly.clamp': 'clamped',
+    'anomaly.ratio': 'TDS/EC mismatch',
+
+    // Chart
+    'chart.mode': 'Chart mode',
+    'chart.allParams': 'All parameters',
+    'chart.compare': 'Compare devices',
+    'chart.compareParam': 'Parameter to compare',
+    'chart.agg': 'Chart aggregation',
+    'chart.aggAuto': 'Auto',
+    'chart.aggRaw': 'Raw (per Points)',
+    'chart.agg5m': '5-minute average',
+    'chart.agg1h': 'Hourly',
+    'chart.agg1d': 'Daily',
+    'chart.focusReset': '✕ Show full range',
+    'chart.toast': 'Chart: {label}',
+    'chart.band': '(min {min} – max {max}, n={n})',
+    'forecast.label': 'forecast',
+    'forecast.horizon': 'Forecast horizon',
+    'forecast.off': 'No forecast',
+    'forecast.hours': '{h} h forecast',
+    'forecast.exceed': '{param} expected to exceed {limit} {unit} in ~{d}',
+    'forecast.below': '{param} expected to fall below {limit} {unit} in ~{d}',
+    'forecast.expected': 'In {h} h: ~{value} ±{pm} {unit}',
+    'chart.compareToast': 'Comparing devices: {param}',
+
+    // Summary
+    'summary.excludeFlagged': 'Exclude flagged points',
+    'summary.latestPoints': 'latest {n} points',
+    'summary.today': 'Today vs yesterday',
+    'summary.lastDays': 'Last {days} days vs previous {days} days',
+    'summary.custom': 'Selected range ({days} days) vs previous {days} days',
+    'summary.noPrevious': 'No data for the previous period',
+    'summary.previous': 'Previous: {v}',
+    'summary.avg': 'Avg',
+    'summary.median': 'Median',
+    'summary.sd': 'SD',
+    'summary.min': 'Min',
+    'summary.max': 'Max',
+    'summary.trend': 'Trend',
+
+    // Table
+    'table.search': 'Search (time, device, value, flags)',
+    'table.searchLabel': 'Search table',
+    'table.filter': 'Filter {col}',
+    'table.filterText': 'Search',
+    'table.first': 'First page',
+    'table.prev': 'Previous page',
+    'table.next': 'Next page',
+    'table.last': 'Last page',
+    'table.pageSize': 'Rows per page',
+    'table.rowsPerPage': '{n} rows/page',
+    'table.pageInfo': '{from}–{to} of {total} rows{filtered} · page {page}/{pages}',
+    'table.filteredFrom': ' (filtered from {n})',
+    'table.noMatch': 'No rows match the filters',
+    'table.showOnChart': 'Click to show this point on the chart',
+
+    // Export
+    'export.open': 'Export data (CSV / JSON / XLSX / report)',
+    'export.format': 'File format',
+    'export.params': 'Parameters',
+    'export.start': 'Start (inclusive)',
+    'export.end': 'End (inclusive)',
+    'export.opened': 'Export dialog opened',
+    'export.cancelled': 'Export cancelled',
+    'export.rangeRequired': 'Please choose both start and end',
+    'export.rangeOrder': 'End must not be before start',
+    'export.paramRequired': 'Select at least one parameter',
+    'export.offline': 'Offline: exporting only data already loaded',
+    'export.loading': 'Loading data for {format}…',
+    'export.done': 'Exported {n} rows as {format}',
+    'export.failed': 'Export failed',
+    'export.period': 'Period: {start} – {end}',
+    'export.generatedAt': 'generated {time}',
+
+    // Alarm thresholds
+    'alarm.open': 'Alarm thresholds',
+    'alarm.title': 'Alarm thresholds',
+    'alarm.rateHeader': 'Rate (/h)',
+    'alarm.sound': 'Alarm sound',
+    'alarm.clearLog': 'Clear ended alarms',
+    'alarm.notify': 'Browser notification',
+    'alarm.log': 'Alarm log',
+    'alarm.notificationTitle': 'Water Quality Alarm',
+    'alarm.rate': 'changing faster than {limit}/h ({value}/h)',
+    'alarm.max': 'above {limit} ({value})',
+    'alarm.min': 'below {limit} ({value})',
+    'alarm.cleared': '✅ {device}: {param} back to normal',
+    'alarm.empty': 'No alarms yet',
+    'alarm.started': 'started {time}',
+    'alarm.ended': 'cleared {time}',
+    'alarm.ongoing': 'still out of range',
+    'alarm.deviceDefaults': 'Using default thresholds for {device}',
+    'alarm.reset': 'Default thresholds restored',
+    'alarm.minMax': '{param}: min must not exceed max',
+    'alarm.saved': 'Alarm thresholds saved',
+
+    // Calibration
+    'calibration.title': 'Sensor calibration',
+    'calibration.tempComp': 'Compensate EC to 25 °C (uses Temp)',
+    'calibration.alpha': 'α (per °C)',
+    'calibration.deriveTds': 'Derive TDS from EC when the device does not send it',
+    'calibration.history': 'Calibration history',
+    'calibration.fromEc': 'from EC',
+    'calibration.none': 'No adjustment',
+    'calibration.empty': 'No changes yet',
+    'calibration.removed': 'Profile removed (defaults apply)',
+    'calibration.before': ' · was: {profile}',
+    'calibration.deviceDefaults': '{device}: using the default calibration',
+    'calibration.cleared': 'Default calibration cleared',
+    'calibration.zeroSlope': '{param}: slope must not be 0',
+    'calibration.saved': 'Calibration saved',
+
+    // Events
+    'dosing.open': 'Nutrient / water dosing for a target EC',
+    'dosing.title': 'Nutrient dosing assistant',
+    'dosing.volume': 'Solution in tank (litres)',
+    'dosing.capacity': 'Tank capacity (litres, optional)',
+    'dosing.strength': 'Stock strength (µS/cm per 1 mL/L)',
+    'dosing.waterEc': 'Top-up water EC (µS/cm)',
+    'dosing.preset': 'Crop (target EC)',
+    'dosing.customTarget': 'Custom',
+    'dosing.target': 'Target',
+    'dosing.record': 'Log this dose',
+    'dosing.history': 'Doses (predicted / measured)',
+    'dosing.crop.lettuce': 'Lettuce',
+    'dosing.crop.kale': 'Kale / leafy greens',
+    'dosing.crop.basil': 'Basil',
+    'dosing.crop.strawberry': 'Strawberry',
+    'dosing.crop.cucumber': 'Cucumber',
+    'dosing.crop.tomato': 'Tomato',
+    'dosing.current': 'Latest: EC {ec} µS/cm · TDS {tds} ppm · {time}',
+    'dosing.noReading': 'No EC reading for this device yet',
+    'dosing.incomplete': 'Fill in the volume, stock strength, tap-water EC and target',
+    'dosing.addConcentrate': 'Add {ml} mL concentrate',
+    'dosing.addWater': 'Add {l} L fresh water',
+    'dosing.replace': 'Drain {l} L and refill with fresh water',
+    'dosing.plan': '{action} → EC expected ~{ec} µS/cm',
+    'dosing.onTarget': 'EC is already on target (±2%)',
+    'dosing.unreachable': 'Target is below the EC of the top-up water',
+    'dosing.full': 'Needs {ml} mL concentrate but the tank would overflow; drain some first',
+    'dosing.note': 'Target EC {target} · tank {volume} L',
+    'dosing.predicted': 'EC {from} → expected {ec}',
+    'dosing.actual': 'measured {ec} ({delta}%)',
+    'dosing.waiting': 'waiting for readings 15–75 min after mixing',
+    'dosing.noDoses': 'No doses logged yet',
+    'annotation.mode': 'Log event',
+    'annotation.modeTitle': 'Click the chart to log an event (water change, fertilizer, probe cleaning)',
+    'annotation.heading': 'Events',
+    'annotation.add': '+ Add',
+    'annotation.label': 'Title (blank = type)',
+    'annotation.note': 'Details',
+    'annotation.water': 'Water change',
+    'annotation.fertilizer': 'Fertilizer / chemicals',
+    'annotation.probe': 'Probe cleaning',
+    'annotation.dose': 'Nutrient dose',
+    'annotation.other': 'Other',
+    'annotation.event': 'Event',
+    'annotation.show': 'Show on chart',
+    'annotation.empty': 'No events in this range',
+    'annotation.modeOn': 'Click a point on the chart to log an event',
+    'annotation.modeOff': 'Event logging off',
+    'annotation.timeRequired': 'Please enter a time',
+    'annotation.saved': 'Event saved: {title}',
+    'annotation.confirmDelete': 'Delete event "{title}"?',
+
+    // Lab results
+    'lab.open': 'Log lab results / compare with sensors',
+    'lab.title': 'Lab results (water samples)',
+    'lab.time': 'Sampling time',
+    'lab.technician': 'Technician',
+    'lab.note': 'Note',
+    'lab.toFirebase': 'Save to Firebase (/devices/<id>/lab_samples); unchecked = keep in this browser',
+    'lab.save': 'Save lab result',
+    'lab.compare': 'Sensors vs lab',
+    'lab.filter': 'Show device',
+    'lab.noSensor': 'No sensor value (±30 min)',
+    'lab.empty': 'No lab results yet',
+    'lab.recalibrate': '{device}: {param} differs from lab by {delta} – recalibrate (add {offset} to the offset)',
+    'lab.allOk': 'All sensors agree with the latest lab results',
+    'lab.noMatch': 'No lab results matched to sensor readings yet',
+    'lab.timeRequired': 'Please enter the sampling time',
+    'lab.saved': 'Lab result for {device} saved',
+    'lab.confirmDelete': 'Delete lab result {device} {time}?',
+
+    // Reports
+    'reports.title': 'Daily / weekly reports',
+    'reports.day': 'Date (weekly = the Monday-to-Sunday week containing it)',
+    'reports.generate': 'Generate report',
+    'reports.auto': 'Generate automatically when the dashboard opens after a period ends:',
+    'reports.frame': 'Report',
+    'reports.daily': 'Daily',
+    'reports.weekly': 'Weekly',
+    'reports.noData': 'No data in this period',
+    'reports.interval': 'every ~{d}',
+    'reports.excursionRate': 'changing faster than {limit}/h (peak {peak}/h)',
+    'reports.excursionMax': 'above {limit} (max {peak})',
+    'reports.excursionMin': 'below {limit} (min {peak})',
+    'reports.readingsFrom': '{readings} readings from {devices} devices',
+    'reports.autoDone': '{period} report generated ({n} readings)',
+    'reports.done': 'Report generated ({n} readings)',
+    'reports.generating': 'Generating report…',
+    'reports.failed': 'Could not generate the report',
+    'reports.pdfLoading': 'Creating PDF…',
+    'reports.pdfFailed': 'Could not create the PDF – use "Print" and save as PDF instead',
+    'reports.empty': 'No reports yet',
+    'reports.item': '{devices} devices · {readings} readings · {excursions} alarms · generated {time}',
+    'reports.delete': 'Delete report',
+    'reports.selectDay': 'Please choose a date',
+    'reports.documentTitle': 'Water Quality Report',
+    'reports.parameter': 'Parameter',
+    'reports.chart': 'Chart',
+    'reports.summary': 'Summary',
+    'reports.readings': '{n} readings',
+    'reports.readingsHeader': 'Readings',
+    'reports.excursions': 'Alarm excursions',
+    'reports.gaps': 'Data gaps',
+
+    // Sign-in / roles
+    'auth.title': 'Sign in',
+    'auth.email': 'Email',
+    'auth.password': 'Password',
+    'auth.signIn': 'Sign in',
+    'auth.signOut': 'Sign out',
+    'auth.source': 'Data source',
+    'auth.failed': 'Wrong email or password',
+    'auth.network': 'Cannot reach the sign-in service (check the network / Auth emulator)',
+    'auth.denied': 'This account may not read the data (ask an admin to assign a role)',
+    'auth.role.viewer': 'viewer',
+    'auth.role.operator': 'operator',
+    'auth.role.admin': 'admin',
+
+    // Data source / import
+    'source.open': 'Data source (Firebase / file import)',
+    'source.title': 'Data source',
+    'source.url': 'Database URL (blank = default, emulator: http://127.0.0.1:9000/?ns=<namespace>)',
+    'source.emulator': 'Use Firebase Emulator (127.0.0.1:9000)',
+    'source.fileOption': 'Imported files (CSV / JSON, stored in this browser)',
+    'source.file': 'imported file',
+    'source.badge': 'source: {name}',
+    'source.save': 'Save and reload',
+    'source.invalidUrl': 'Invalid URL',
+    'source.changed': 'Data source changed, reloading',
+    'import.heading': 'Import files',
+    'import.file': 'CSV / JSON file (e.g. a previous export)',
+    'import.device': 'Device (if the file has no Device column)',
+    'import.run': 'Import',
+    'import.clear': 'Delete imported data',
+    'import.selectFile': 'Please choose a CSV or JSON file',
+    'import.status': 'Imported {n} readings',
+    'import.done': 'Imported {n} readings',
+    'import.failed': 'Import failed: {error}',
+    'import.cleared': 'Imported data deleted',
+  },
+};
+
+function currentLang() {
+  try { const lang = localStorage.getItem(LANG_STORAGE_KEY); return LANGS[lang] ? lang : 'th'; } catch { return 'th'; }
+}
+// 'ce' (ค.ศ., default) or 'be' (พ.ศ.)
+function currentEra() {
+  try { return localStorage.getItem(ERA_STORAGE_KEY) === 'be' ? 'be' : 'ce'; } catch { return 'ce'; }
+}
+function setLang(lang) { localStorage.setItem(LANG_STORAGE_KEY, lang); location.reload(); }
+function setEra(era) { localStorage.setItem(ERA_STORAGE_KEY, era); location.reload(); }
+
+// t('table.rowsPerPage', { n: 50 }) → "50 แถว/หน้า"; unknown keys fall back to Thai, then the key itself
+function t(key, vars) {
+  const msg = MESSAGES[currentLang()][key] ?? MESSAGES.th[key] ?? key;
+  return vars ? msg.replace(/\{(\w+)\}/g, (m, name) => (vars[name] ?? m)) : msg;
+}
+
+// Static markup: data-i18n (text), data-i18n-title / -placeholder / -aria-label (attributes).
+// Other data-* attributes of the element are passed as message variables (data-n="50" → {n}).
+function applyTranslations(root = document) {
+  document.documentElement.lang = currentLang();
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n, el.dataset); });
+  Object.entries({ i18nTitle: 'title', i18nPlaceholder: 'placeholder', i18nAriaLabel: 'aria-label' }).forEach(([key, attr]) => {
+    root.querySelectorAll(`[data-i18n-${attr}]`).forEach(el => el.setAttribute(attr, t(el.dataset[key], el.dataset)));
+  });
+}
+
+// BCP 47 tag with the calendar, e.g. th-TH-u-ca-buddhist
+function localeTag() {
+  return `${LANGS[currentLang()].locale}-u-ca-${currentEra() === 'be' ? 'buddhist' : 'gregory'}`;
+}
+
+// Intl formatters are slow to build, so keep one per option set
+const formatters = new Map();
+function formatter(Type, options) {
+  const key = `${Type.name}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Type(localeTag(), options));
+  return formatters.get(key);
+}
+
+const DATE_FORMAT = { year: 'numeric', month: '2-digit', day: '2-digit' };
+const DATE_MINUTE_FORMAT = { ...DATE_FORMAT, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+const DATE_TIME_FORMAT = { ...DATE_MINUTE_FORMAT, second: '2-digit' };
+function fmtDate(d, options = DATE_FORMAT) { return formatter(Intl.DateTimeFormat, options).format(new Date(d)); }
+function fmtNumber(v, digits = 0) {
+  return formatter(Intl.NumberFormat, { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(v);
+}
@@ -0,0 +1,77 @@
+/* ================== Service Worker ================== */
+// App shell + CDN libraries are served cache-first and refreshed in the background, so the
+// dashboard opens without a connection. Firebase data requests are never cached here:
+// readings are kept in IndexedDB by app.js instead.
+// Bump whenever APP_SHELL or CDN_ASSETS change: activate drops every other cache
+const SW_CACHE = 'water-quality-v3';
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'i18n.js',
+  'app.js',
+  'style.css',
+  'manifest.webmanifest',
+  'icon.png',
+  'icon-192.png',
+  'icon-512.png',
+  'icon.ico',
+];
+
+const CDN_ASSETS = [
+  'https://cdn.jsdelivr.net/npm/chart.js',
+  'https://cdn.jsdelivr.net/npm/dayjs@1/dayjs.min.js',
+  'https://www.gstatic.com/firebasejs/10.7.0/firebase-app.js',
+  'https://www.gstatic.com/firebasejs/10.7.0/firebase-database.js',
+  'https://www.gstatic.com/firebasejs/10.7.0/firebase-auth.js',
+  'https://fonts.googleapis.com/css2?family=Noto+Sans+Thai:wght@400;600;700&display=swap',
+];
+
+// Hosts whose responses are data (or sign-in tokens), not assets
+const PASSTHROUGH_HOSTS = ['firebasedatabase.app', 'firebaseio.com', 'identitytoolkit.googleapis.com', 'securetoken.googleapis.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SW_CACHE);
+    await cache.addAll(APP_SHELL);
+    // CDN assets one by one: a single failure shouldn't block installing the app shell
+    await Promise.all(CDN_ASSETS.map(url => cache.add(url).catch(err => console.warn('SW: skip', url, err))));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k !== SW_CACHE).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  // Emulator requests (any host) carry ?ns=<namespace>
+  if (PASSTHROUGH_HOSTS.some(h => url.hostname.endsWith(h)) || url.searchParams.has('ns')) return;
+  if (!url.protocol.startsWith('http')) return;
+
+  event.respondWith((async () => {
+    const cache = await caches.open(SW_CACHE);
+    const cached = await cache.match(req, { ignoreSearch: url.origin === self.location.origin });
+    const network = fetch(req).then(res => {
+      // Opaque (no-cors) responses for fonts are fine to keep too
+      if (res && (res.ok || res.type === 'opaque')) cache.put(req, res.clone());
+      return res;
+    }).catch(() => null);
+    if (cached) {
+      event.waitUntil(network);
+      return cached;
+    }
+    const res = await network;
+    if (res) return res;
+    // Offline navigation without a cached copy of the exact URL: fall back to the shell
+    if (req.mode === 'navigate') return (await cache.match('index.html')) || Response.error();
+    return Response.error();
+  })());
+});